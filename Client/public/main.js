@@ -5,14 +5,93 @@ const statusIndicator = document.querySelector('.status-indicator');
 const messagesObj = document.getElementById('messages');
 const msgInput = document.getElementById('msgInput');
 const startBtn = document.getElementById('startBtn');
+const createRoomBtn = document.getElementById('createRoomBtn');
+const createGroupBtn = document.getElementById('createGroupBtn');
+const welcomeSubtitle = document.querySelector('.welcome-card .subtitle');
 const nextBtn = document.getElementById('nextBtn');
+const reportBtn = document.getElementById('reportBtn');
+const relayBadge = document.getElementById('relayBadge');
+const reportDialog = document.getElementById('reportDialog');
+const reportCancelBtn = document.getElementById('reportCancelBtn');
 const sendBtn = document.getElementById('sendBtn');
+const attachBtn = document.getElementById('attachBtn');
+const fileInput = document.getElementById('fileInput');
 const usernameInput = document.getElementById('usernameInput');
+const interestsInput = document.getElementById('interestsInput');
+const allowRematchInput = document.getElementById('allowRematchInput');
 const usernameScreen = document.getElementById('usernameScreen');
 const chatScreen = document.getElementById('chatScreen');
 const partnerNameEl = document.getElementById('partnerName');
 const scrollToBottomBtn = document.getElementById('scrollToBottom');
 const typingIndicator = document.getElementById('typingIndicator');
+const memberList = document.getElementById('memberList');
+const modeInputs = document.querySelectorAll('input[name="chatMode"]');
+const mediaArea = document.getElementById('mediaArea');
+const localVideo = document.getElementById('localVideo');
+const remoteVideo = document.getElementById('remoteVideo');
+const muteBtn = document.getElementById('muteBtn');
+const cameraBtn = document.getElementById('cameraBtn');
+
+const MAX_INTERESTS = 5;
+// What each chat mode captures; text captures nothing
+const MEDIA_CONSTRAINTS = {
+    voice: { audio: true, video: false },
+    video: { audio: true, video: { width: { ideal: 640 }, height: { ideal: 480 } } }
+};
+// Invite links look like ?room=<code> (private) or ?group=<code>
+const ROOM_PARAM = 'room';
+const GROUP_PARAM = 'group';
+const ROOM_CODE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+// Sender colors in group rooms
+const MEMBER_COLORS = ['#DC2626', '#D97706', '#059669', '#0891B2', '#2563EB', '#7C3AED', '#DB2777', '#4B5563'];
+// How long to wait for the partner to agree to relay before giving up
+const RELAY_AGREE_TIMEOUT_MS = 5000;
+// Quiet retries after an announced restart before falling back to the
+// regular reconnect, and the cap on the delay between them
+const RESTART_MAX_ATTEMPTS = 8;
+const RESTART_MAX_DELAY_MS = 30000;
+// Used when the server's ICE list can't be fetched
+const DEFAULT_ICE_SERVERS = [
+    { urls: "stun:stun.l.google.com:19302" },
+    { urls: "stun:stun1.l.google.com:19302" },
+    { urls: "stun:stun2.l.google.com:19302" }
+];
+const ICE_FETCH_TIMEOUT_MS = 3000;
+// Typing: re-announce at most this often while typing, say "stopped"
+// after this much idle time, and hide the partner's bubble if no
+// refresh arrives within the display window
+const TYPING_REFRESH_MS = 3000;
+const TYPING_IDLE_MS = 2000;
+const TYPING_DISPLAY_MS = 5000;
+// Chat channel messages are envelopes: { v, id, type, ts, body }. Bump
+// the version only for changes older clients can't safely ignore.
+const PROTOCOL_VERSION = 1;
+// Set as the chat channel's subprotocol by clients that read envelopes.
+// Older clients neither set nor check it.
+const CHAT_PROTOCOL = 'anonchat-envelope';
+const MAX_ENVELOPE_CHARS = 4096;
+const MAX_MESSAGE_LENGTH = 1000;
+// Body checks per envelope type. Types missing here still parse and are
+// skipped by handleEnvelope, so newer peers can add their own.
+const ENVELOPE_BODIES = {
+    text: (body) => typeof body.text === 'string' &&
+        body.text.length > 0 && body.text.length <= MAX_MESSAGE_LENGTH,
+    typing: (body) => typeof body.typing === 'boolean',
+    receipt: (body) => Array.isArray(body.ids) && body.ids.length > 0 && body.ids.length <= 50 &&
+        body.ids.every(id => typeof id === 'string') &&
+        ['delivered', 'read'].includes(body.status),
+    reaction: (body) => typeof body.target === 'string' &&
+        typeof body.emoji === 'string' && body.emoji.length <= 16,
+    control: (body) => typeof body.action === 'string'
+};
+// File sharing: what may be sent, how big, and how it's streamed.
+// No SVG: it can carry script.
+const ALLOWED_FILE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'];
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const FILE_CHUNK_BYTES = 16 * 1024;
+// Stop sending above the high mark, carry on once drained to the low one
+const FILE_BUFFER_HIGH = 1024 * 1024;
+const FILE_BUFFER_LOW = 256 * 1024;
 
 // State Management
 const AppState = {
@@ -29,9 +108,41 @@ class ChatApplication {
         this.socket = null;
         this.peerConnection = null;
         this.dataChannel = null;
+        // Second, reliable channel for file transfers
+        this.fileChannel = null;
+        // id -> transfer, both directions; one file streams at a time
+        this.transfers = new Map();
+        this.fileSendQueue = [];
+        this.sendingFile = null;
+        this.receivingFile = null;
+        this.objectUrls = [];
         this.myName = '';
+        this.myInterests = [];
+        this.allowRematch = false;
+        // 'text', 'voice' or 'video'; each is matched in its own pool
+        this.chatMode = 'text';
+        this.localStream = null;
+        this.micMuted = false;
+        this.cameraOff = false;
+        // { code, host } while creating, waiting in or chatting through a private room
+        this.room = null;
+        // { code, selfId, members: Map(member id -> { name, color }) } in a group room
+        this.group = null;
+        this.deviceId = '';
         this.partnerName = '';
         this.iceFailTimer = null;
+        this.relayMode = false;
+        this.relayTimer = null;
+        // Whether the partner reads envelopes; plain strings until we know
+        this.peerEnvelopes = false;
+        this.serverUrl = '';
+        this.iceConfig = null;
+        this.iceServersPending = null;
+        this.webrtcAttempt = 0;
+        this.isTyping = false;
+        this.typingSentAt = 0;
+        this.typingIdleTimer = null;
+        this.typingHideTimer = null;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.state = AppState.DISCONNECTED;
@@ -40,6 +151,13 @@ class ChatApplication {
         this.connectionTimeout = null;
         this.messageQueue = [];
         this.isReconnecting = false;
+        this.restartTimer = null;
+        // Set from "server-restarting" until a socket opens again
+        this.restarting = false;
+        this.restartAttempts = 0;
+        this.resumeToken = null;
+        this.latency = null;
+        this.lastHeartbeat = null;
         this.init();
     }
 
@@ -50,6 +168,8 @@ class ChatApplication {
         this.bindEvents();
         this.setupConnectionMonitoring();
         this.loadFromLocalStorage();
+        this.deviceId = this.getDeviceId();
+        this.readInviteLink();
         this.initializeManagers();
         this.setupDiagnostics();
     }
@@ -96,17 +216,57 @@ class ChatApplication {
             startBtn.addEventListener('click', () => this.handleStart());
         }
 
+        if (createRoomBtn) {
+            createRoomBtn.addEventListener('click', () => this.handleStart({ createRoom: true }));
+        }
+
+        if (createGroupBtn) {
+            createGroupBtn.addEventListener('click', () => this.handleStart({ createGroup: true }));
+        }
+
+        if (muteBtn) {
+            muteBtn.addEventListener('click', () => this.toggleMicrophone());
+        }
+
+        if (cameraBtn) {
+            cameraBtn.addEventListener('click', () => this.toggleCamera());
+        }
+
         if (usernameInput) {
             usernameInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') this.handleStart();
             });
         }
 
+        if (interestsInput) {
+            interestsInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.handleStart();
+            });
+        }
+
         // Next button
         if (nextBtn) {
             nextBtn.addEventListener('click', () => this.handleNext());
         }
 
+        // Report partner
+        if (reportBtn) {
+            reportBtn.addEventListener('click', () => this.openReportDialog());
+        }
+
+        if (reportDialog) {
+            reportDialog.querySelectorAll('[data-reason]').forEach(button => {
+                button.addEventListener('click', () => this.sendReport(button.dataset.reason));
+            });
+            reportDialog.addEventListener('click', (e) => {
+                if (e.target === reportDialog) this.closeReportDialog();
+            });
+        }
+
+        if (reportCancelBtn) {
+            reportCancelBtn.addEventListener('click', () => this.closeReportDialog());
+        }
+
         // Send message
         if (sendBtn) {
             sendBtn.addEventListener('click', () => this.sendMessage());
@@ -121,9 +281,21 @@ class ChatApplication {
             });
         }
 
+        if (attachBtn && fileInput) {
+            fileInput.accept = ALLOWED_FILE_TYPES.join(',');
+            attachBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                this.sendFile(fileInput.files[0]);
+                fileInput.value = '';
+            });
+        }
+
         // Input validation
         if (msgInput) {
-            msgInput.addEventListener('input', () => this.validateInput());
+            msgInput.addEventListener('input', () => {
+                this.validateInput();
+                this.handleLocalTyping();
+            });
         }
 
         if (usernameInput) {
@@ -210,12 +382,19 @@ class ChatApplication {
             sendBtn.disabled = newState !== AppState.CHATTING;
         }
 
+        this.updateAttachButton();
+
         // Update next button
         if (nextBtn) {
             if (newState === AppState.CHATTING) {
                 nextBtn.innerHTML = 'Next <i class="fas fa-arrow-right"></i>';
                 nextBtn.title = 'Find another partner';
                 nextBtn.disabled = false;
+            } else if (newState === AppState.SEARCHING && this.room && this.room.host) {
+                // Waiting for a guest: the only way out is closing the room
+                nextBtn.innerHTML = 'Cancel <i class="fas fa-times"></i>';
+                nextBtn.title = 'Close the room';
+                nextBtn.disabled = false;
             } else if (newState === AppState.SEARCHING) {
                 nextBtn.innerHTML = 'Searching... <i class="fas fa-spinner fa-spin"></i>';
                 nextBtn.disabled = true;
@@ -225,10 +404,27 @@ class ChatApplication {
             }
         }
 
+        // Reporting only makes sense while one person is on the other end
+        if (reportBtn) {
+            reportBtn.disabled = newState !== AppState.CHATTING || Boolean(this.group);
+        }
+
+        if (newState !== AppState.CHATTING) {
+            this.closeReportDialog();
+        }
+
         // Update start button
         if (startBtn) {
             startBtn.disabled = newState === AppState.CONNECTING || newState === AppState.SEARCHING;
         }
+
+        if (createRoomBtn) {
+            createRoomBtn.disabled = newState === AppState.CONNECTING || newState === AppState.SEARCHING;
+        }
+
+        if (createGroupBtn) {
+            createGroupBtn.disabled = newState === AppState.CONNECTING || newState === AppState.SEARCHING;
+        }
     }
 
     updateStatus(text, type = 'info') {
@@ -264,7 +460,7 @@ class ChatApplication {
 
     // ========== SESSION MANAGEMENT ==========
 
-    async handleStart() {
+    async handleStart({ createRoom = false, createGroup = false } = {}) {
         try {
             const name = usernameInput.value.trim();
 
@@ -275,8 +471,20 @@ class ChatApplication {
             }
 
             this.myName = name;
+            this.myInterests = this.parseInterests(interestsInput?.value);
+            this.allowRematch = Boolean(allowRematchInput?.checked);
             this.saveToLocalStorage();
 
+            if (createRoom) {
+                this.room = { code: null, host: true };
+            } else if (createGroup) {
+                this.group = { code: null, selfId: null, members: new Map() };
+            }
+
+            // Rooms and groups are text only
+            const mode = this.room || this.group ? 'text' : this.getSelectedMode();
+            this.chatMode = await this.startLocalMedia(mode);
+
             // UI transition with animation
             if (usernameScreen && chatScreen) {
                 usernameScreen.style.opacity = '0';
@@ -302,11 +510,17 @@ class ChatApplication {
     handleNext() {
         if (this.state === AppState.CHATTING) {
             if (confirm('Are you sure you want to end this chat and find someone new?')) {
+                this.leaveRoom();
+                this.leaveGroup();
                 this.performRematch('User requested new partner');
             }
+        } else if (this.state === AppState.SEARCHING && this.room && this.room.host) {
+            this.cancelRoom();
         } else if (this.state === AppState.SEARCHING) {
             this.showToast('Already searching for a partner', 'info');
         } else if (this.state === AppState.CONNECTED || this.state === AppState.DISCONNECTED) {
+            this.leaveRoom();
+            this.leaveGroup();
             this.performRematch('Finding new partner');
         } else {
             this.showToast('Cannot find new partner while connecting or in error state', 'warning');
@@ -315,10 +529,10 @@ class ChatApplication {
 
     // ========== WEBSOCKET MANAGEMENT ==========
 
-    async initSocket() {
+    async initSocket({ keepPeer = false } = {}) {
         try {
             // Clean up existing connection
-            this.cleanupConnection();
+            this.cleanupConnection({ keepPeer });
 
             // Check if WebSocket is available
             if (typeof WebSocket === 'undefined') {
@@ -339,6 +553,7 @@ class ChatApplication {
             if (!wsUrl || (!wsUrl.startsWith('wss://') && !wsUrl.startsWith('ws://'))) {
                 throw new Error('Invalid WebSocket URL format');
             }
+            this.serverUrl = wsUrl;
 
             // Create socket instance with error handling
             let socket;
@@ -367,16 +582,26 @@ class ChatApplication {
             socket.addEventListener('open', (event) => {
                 clearTimeout(this.connectionTimeout);
                 console.log('WebSocket connected successfully');
-                this.setState(AppState.CONNECTED);
                 this.reconnectAttempts = 0;
                 this.isReconnecting = false;
+                this.restarting = false;
+                this.restartAttempts = 0;
+
+                // Back with the chat still running: try to take the old
+                // session over. If that fails (e.g. after a server restart)
+                // the server sees us as idle until we ask for someone new.
+                if (keepPeer && this.state === AppState.CHATTING) {
+                    if (this.resumeToken) {
+                        this.sendSocketMessage({ type: 'resume-session', token: this.resumeToken });
+                    }
+                    this.updateStatus(this.partnerName || 'Chat active', 'success');
+                    return;
+                }
 
-                // Join with name
-                this.sendSocketMessage({
-                    type: "join",
-                    name: this.myName,
-                    timestamp: Date.now()
-                });
+                this.setState(AppState.CONNECTED);
+
+                // Join with name and interests
+                this.sendJoin();
 
                 this.setState(AppState.SEARCHING);
             });
@@ -397,6 +622,20 @@ class ChatApplication {
 
                 // Only handle close if this is still the active socket
                 if (this.socket === socket) {
+                    // Expected while the restarted server comes back
+                    if (this.restarting) {
+                        this.retryAfterRestart();
+                        return;
+                    }
+
+                    // The data channel usually outlives the socket; reconnect
+                    // and reattach instead of ending the chat
+                    if (this.canResumeSession()) {
+                        this.updateStatus('Reconnecting...', 'warning');
+                        setTimeout(() => this.handleReconnect(), 1000);
+                        return;
+                    }
+
                     this.setState(AppState.DISCONNECTED, `Connection closed: ${event.reason || 'Unknown reason'}`);
 
                     // Attempt reconnect if not user-initiated and not in error state
@@ -412,8 +651,9 @@ class ChatApplication {
                 clearTimeout(this.connectionTimeout);
                 console.error('WebSocket error event:', event);
 
-                // Only handle error if this is still the active socket
-                if (this.socket === socket) {
+                // Only handle error if this is still the active socket;
+                // mid-chat the close handler takes care of reconnecting
+                if (this.socket === socket && !this.restarting && !this.canResumeSession()) {
                     this.setState(AppState.ERROR, 'WebSocket connection error');
                     
                     // Try reconnect after delay
@@ -429,6 +669,12 @@ class ChatApplication {
             this.socket = socket;
 
         } catch (error) {
+            if (this.restarting) {
+                console.warn('Reconnect after server restart failed:', error);
+                this.retryAfterRestart();
+                throw error;
+            }
+
             console.error('Socket initialization error:', error);
             this.setState(AppState.ERROR, error.message);
             
@@ -464,8 +710,61 @@ class ChatApplication {
             case "error":
                 this.handleServerError(data);
                 break;
+            case "session":
+            case "session-resumed":
+                // Lets a dropped socket reattach to this chat
+                this.resumeToken = data.resumeToken;
+                break;
+            case "partner-away":
+                this.handlePartnerAway(data);
+                break;
+            case "partner-back":
+                this.handlePartnerBack();
+                break;
+            case "chat-ended":
+                this.handleChatEnded(data);
+                break;
+            case "relay-ready":
+                this.handleRelayReady();
+                break;
+            case "relay":
+                if (this.relayMode) {
+                    this.receiveChatMessage(data.text);
+                }
+                break;
+            case "server-restarting":
+                this.handleServerRestarting(data);
+                break;
+            case "room-created":
+                this.handleRoomCreated(data);
+                break;
+            case "room-cancelled":
+                // cancelRoom has already gone back to the welcome screen
+                break;
+            case "group-joined":
+                this.handleGroupJoined(data);
+                break;
+            case "group-member-joined":
+                this.handleGroupMemberJoined(data);
+                break;
+            case "group-member-left":
+                this.handleGroupMemberLeft(data);
+                break;
+            case "group-message":
+                this.handleGroupMessage(data);
+                break;
+            case "report-received":
+                // Server has already queued us for a new partner
+                this.leaveRoom();
+                this.performRematch('Thanks for reporting. Finding you someone new...', { rejoin: false });
+                break;
             case "ping":
-                this.sendSocketMessage({ type: "pong" });
+                this.handleHeartbeat(data);
+                break;
+            case "pong":
+                if (typeof data.ts === 'number') {
+                    this.latency = Date.now() - data.ts;
+                }
                 break;
             case "typing":
                 this.handleTypingIndicator(data);
@@ -475,6 +774,56 @@ class ChatApplication {
         }
     }
 
+    handleHeartbeat(data) {
+        this.lastHeartbeat = Date.now();
+        this.sendSocketMessage({ type: "pong", ts: data.ts });
+
+        // Server reports the round trip it measured on the previous beat
+        if (typeof data.rtt === 'number') {
+            this.latency = data.rtt;
+        }
+    }
+
+    sendJoin() {
+        // After a dropped socket group members rejoin the same group, while
+        // a private room host gets a fresh room (and link)
+        if (this.group && this.group.code) {
+            return this.sendSocketMessage({
+                type: "join-group",
+                code: this.group.code,
+                name: this.myName,
+                deviceId: this.deviceId
+            });
+        }
+
+        if (this.group) {
+            return this.sendSocketMessage({ type: "create-group", name: this.myName, deviceId: this.deviceId });
+        }
+
+        if (this.room && this.room.host) {
+            return this.sendSocketMessage({ type: "create-room", name: this.myName, deviceId: this.deviceId });
+        }
+
+        if (this.room) {
+            return this.sendSocketMessage({
+                type: "join-room",
+                code: this.room.code,
+                name: this.myName,
+                deviceId: this.deviceId
+            });
+        }
+
+        return this.sendSocketMessage({
+            type: "join",
+            name: this.myName,
+            mode: this.chatMode,
+            tags: this.myInterests,
+            allowRematch: this.allowRematch,
+            deviceId: this.deviceId,
+            timestamp: Date.now()
+        });
+    }
+
     sendSocketMessage(message) {
         if (this.socket && this.socket.readyState === WebSocket.OPEN) {
             try {
@@ -508,6 +857,10 @@ class ChatApplication {
             // Clear any existing messages
             this.clearMessages();
 
+            if (Array.isArray(data.sharedTags) && data.sharedTags.length > 0) {
+                this.addSystemMessage(`You both like: ${data.sharedTags.join(', ')}`);
+            }
+
         } catch (error) {
             console.error('Error in match handling:', error);
             this.showToast('Failed to establish chat connection', 'error');
@@ -524,13 +877,18 @@ class ChatApplication {
 
             console.log(`Starting WebRTC as ${isInitiator ? 'initiator' : 'receiver'}`);
 
+            // Signals that arrive while the ICE list loads wait on this
+            const attempt = ++this.webrtcAttempt;
+            this.iceServersPending = this.getIceServers();
+            const iceServers = await this.iceServersPending;
+
+            // Rematched or left while we were waiting
+            if (attempt !== this.webrtcAttempt) return;
+            this.iceServersPending = null;
+
             // Create peer connection with configuration
             const config = {
-                iceServers: [
-                    { urls: "stun:stun.l.google.com:19302" },
-                    { urls: "stun:stun1.l.google.com:19302" },
-                    { urls: "stun:stun2.l.google.com:19302" }
-                ],
+                iceServers,
                 iceCandidatePoolSize: 10
             };
 
@@ -539,18 +897,38 @@ class ChatApplication {
             // Set up event handlers
             this.setupPeerConnectionEvents();
 
+            // Before the offer/answer, so the media is part of it
+            if (this.localStream) {
+                for (const track of this.localStream.getTracks()) {
+                    this.peerConnection.addTrack(track, this.localStream);
+                }
+            }
+
             if (isInitiator) {
                 // Create data channel
                 this.dataChannel = this.peerConnection.createDataChannel("chat", {
                     ordered: true,
-                    maxRetransmits: 3
+                    maxRetransmits: 3,
+                    protocol: CHAT_PROTOCOL
                 });
                 this.setupDataChannel();
+
+                // Reliable and ordered: files arrive whole or not at all
+                this.fileChannel = this.peerConnection.createDataChannel("files", { ordered: true });
+                this.setupFileChannel();
+
                 await this.createOffer();
             } else {
                 // Set up data channel receiver
                 this.peerConnection.ondatachannel = (event) => {
+                    if (event.channel.label === 'files') {
+                        this.fileChannel = event.channel;
+                        this.setupFileChannel();
+                        return;
+                    }
                     this.dataChannel = event.channel;
+                    // The initiator's subprotocol says it reads envelopes
+                    this.peerEnvelopes = event.channel.protocol === CHAT_PROTOCOL;
                     this.setupDataChannel();
                 };
             }
@@ -560,7 +938,7 @@ class ChatApplication {
                 if (this.peerConnection?.iceConnectionState !== 'connected' &&
                     this.peerConnection?.iceConnectionState !== 'completed') {
                     console.warn('ICE connection timeout (15 seconds)');
-                    this.performRematch('Connection timeout');
+                    this.requestRelay();
                 }
             }, 15000);
 
@@ -570,6 +948,46 @@ class ChatApplication {
         }
     }
 
+    // STUN/TURN servers come from the server so TURN credentials stay
+    // short-lived; reused until halfway to their expiry
+    async getIceServers() {
+        if (this.iceConfig && Date.now() < this.iceConfig.refreshAt) {
+            return this.iceConfig.iceServers;
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), ICE_FETCH_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(this.getApiUrl('/ice-servers'), { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!Array.isArray(data.iceServers)) {
+                throw new Error('Malformed ICE server list');
+            }
+
+            this.iceConfig = {
+                iceServers: data.iceServers,
+                refreshAt: Date.now() + (data.ttl || 0) * 500
+            };
+            return data.iceServers;
+        } catch (error) {
+            console.warn('Could not fetch ICE servers, using defaults:', error);
+            return DEFAULT_ICE_SERVERS;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // HTTP endpoints live on the same host as the WebSocket
+    getApiUrl(path) {
+        const base = window.ANONCHAT_API_URL || this.serverUrl.replace(/^ws/, 'http');
+        return new URL(path, base).toString();
+    }
+
     setupPeerConnectionEvents() {
         if (!this.peerConnection) return;
 
@@ -593,6 +1011,8 @@ class ChatApplication {
 
             switch (state) {
                 case 'failed':
+                    this.requestRelay();
+                    break;
                 case 'disconnected':
                     this.performRematch(`ICE connection ${state}`);
                     break;
@@ -609,13 +1029,16 @@ class ChatApplication {
             console.log('Peer connection state:', this.peerConnection.connectionState);
 
             if (this.peerConnection.connectionState === 'failed') {
-                this.performRematch('Peer connection failed');
+                this.requestRelay();
             }
         };
 
-        // Track events (for future video/audio support)
+        // Partner's audio/video; voice calls play through the hidden <video>
         this.peerConnection.ontrack = (event) => {
-            console.log('Track received:', event);
+            console.log('Track received:', event.track.kind);
+            if (remoteVideo && event.streams[0]) {
+                remoteVideo.srcObject = event.streams[0];
+            }
         };
     }
 
@@ -628,22 +1051,19 @@ class ChatApplication {
             this.sendSocketMessage({ type: "connected" });
             clearTimeout(this.iceFailTimer);
             this.showToast('Chat ready! You can start messaging.', 'success');
+            // Tell an envelope-reading initiator that we read them too
+            if (this.peerEnvelopes) {
+                this.sendEnvelope('control', { action: 'hello', version: PROTOCOL_VERSION });
+            }
             
             // Process any queued messages
             this.processMessageQueue();
         };
 
         this.dataChannel.onmessage = (event) => {
-            try {
-                const message = event.data;
-                this.addMessage({
-                    text: message,
-                    sender: this.partnerName,
-                    type: 'them',
-                    timestamp: Date.now()
-                });
-            } catch (error) {
-                console.error('Error processing incoming message:', error);
+            const envelope = this.parseEnvelope(event.data);
+            if (envelope) {
+                this.handleEnvelope(envelope);
             }
         };
 
@@ -660,11 +1080,47 @@ class ChatApplication {
         };
     }
 
+    // ========== RELAY FALLBACK ==========
+
+    // Peer-to-peer failed (usually NAT on both ends). Ask to relay chat
+    // through the server; the partner's side will be failing too, so
+    // it should agree within a few seconds.
+    requestRelay() {
+        if (this.relayMode || this.relayTimer || this.state !== AppState.CHATTING) return;
+
+        console.warn('Direct connection failed, requesting relay');
+        clearTimeout(this.iceFailTimer);
+        this.updateStatus('Trying relay...', 'warning');
+        this.sendSocketMessage({ type: "relay-request" });
+
+        this.relayTimer = setTimeout(() => {
+            this.relayTimer = null;
+            this.performRematch('Connection timeout');
+        }, RELAY_AGREE_TIMEOUT_MS);
+    }
+
+    handleRelayReady() {
+        // Drop the failed peer connection without it triggering a rematch
+        if (this.dataChannel) {
+            this.dataChannel.onclose = null;
+            this.dataChannel.onerror = null;
+        }
+        this.cleanupWebRTC();
+
+        this.relayMode = true;
+        if (relayBadge) relayBadge.hidden = false;
+        this.showPartnerStatus();
+        this.addSystemMessage('A direct connection wasn\'t possible, so messages now go through the server.');
+        if (this.chatMode !== 'text') {
+            this.addSystemMessage('Voice and video need a direct connection, so this chat is text only.');
+        }
+    }
+
     async createOffer() {
         try {
             const offer = await this.peerConnection.createOffer({
-                offerToReceiveAudio: false,
-                offerToReceiveVideo: false
+                offerToReceiveAudio: this.chatMode !== 'text',
+                offerToReceiveVideo: this.chatMode === 'video'
             });
 
             await this.peerConnection.setLocalDescription(offer);
@@ -682,6 +1138,10 @@ class ChatApplication {
 
     async handleSignal(signal) {
         try {
+            if (!this.peerConnection && this.iceServersPending) {
+                await this.iceServersPending;
+            }
+
             if (!this.peerConnection) {
                 await this.startWebRTC(false);
             }
@@ -730,22 +1190,36 @@ class ChatApplication {
                 return;
             }
 
-            if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
+            const viaServer = this.group || this.relayMode;
+            if (!viaServer && (!this.dataChannel || this.dataChannel.readyState !== 'open')) {
                 this.showToast('Connection not ready. Please wait...', 'error');
                 return;
             }
 
             // Validate message length
-            if (message.length > 1000) {
+            if (message.length > MAX_MESSAGE_LENGTH) {
                 this.showToast('Message too long (maximum 1000 characters)', 'warning');
                 return;
             }
 
-            // Send via WebRTC
-            this.dataChannel.send(message);
+            // Send via WebRTC, or through the server for groups and relayed chats
+            let id = null;
+            if (viaServer) {
+                // The server names this id if it refuses the message
+                id = this.createMessageId();
+                const type = this.group ? 'group-message' : 'relay';
+                if (!this.sendSocketMessage({ type, text: message, id })) {
+                    this.showToast('Connection not ready. Please wait...', 'error');
+                    return;
+                }
+            } else {
+                const sent = this.sendEnvelope('text', { text: message });
+                id = sent && sent.id;
+            }
 
             // Add to local UI
             this.addMessage({
+                id,
                 text: message,
                 sender: 'You',
                 type: 'me',
@@ -755,6 +1229,7 @@ class ChatApplication {
             // Clear input
             msgInput.value = '';
             this.validateInput();
+            this.setTyping(false);
 
             // Save to history
             this.saveMessageToHistory(message);
@@ -786,6 +1261,22 @@ class ChatApplication {
         });
     }
 
+    receiveChatMessage(text, id = null) {
+        this.handleTypingIndicator({ typing: false });
+
+        try {
+            this.addMessage({
+                id,
+                text,
+                sender: this.partnerName,
+                type: 'them',
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('Error processing incoming message:', error);
+        }
+    }
+
     addMessage(messageData) {
         try {
             // Remove empty state if present
@@ -797,6 +1288,19 @@ class ChatApplication {
             // Create message element
             const messageDiv = document.createElement('div');
             messageDiv.className = `message ${messageData.type}`;
+            // Receipts and reactions find messages by id
+            if (messageData.id) {
+                messageDiv.dataset.id = messageData.id;
+            }
+
+            // Several people talk in a group, so say who it is
+            if (messageData.color) {
+                const sender = document.createElement('div');
+                sender.className = 'message-sender';
+                sender.style.color = messageData.color;
+                sender.textContent = messageData.sender;
+                messageDiv.appendChild(sender);
+            }
 
             // Add message content
             const content = document.createElement('div');
@@ -834,8 +1338,25 @@ class ChatApplication {
         }
     }
 
+    addSystemMessage(text) {
+        if (!messagesObj) return;
+
+        const notice = document.createElement('div');
+        notice.className = 'system-message';
+        notice.textContent = text;
+        messagesObj.appendChild(notice);
+
+        if (this.scrollManager) {
+            this.scrollManager.handleNewMessage();
+        }
+    }
+
     clearMessages() {
         try {
+            // Received files are gone with their messages
+            this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+            this.objectUrls = [];
+
             if (messagesObj) {
                 messagesObj.innerHTML = '';
                 this.messages = [];
@@ -845,7 +1366,7 @@ class ChatApplication {
                 emptyState.className = 'empty-state';
                 emptyState.innerHTML = `
                     <h3>Start chatting!</h3>
-                    <p>Messages with ${this.partnerName || 'your partner'} will appear here</p>
+                    <p>Messages with ${this.group ? 'the group' : (this.partnerName || 'your partner')} will appear here</p>
                 `;
                 messagesObj.appendChild(emptyState);
             }
@@ -857,140 +1378,1218 @@ class ChatApplication {
 
     showTypingIndicator(show) {
         if (typingIndicator) {
+            const wasShown = typingIndicator.style.display !== 'none';
             typingIndicator.style.display = show ? 'flex' : 'none';
 
-            if (show && this.scrollManager) {
+            if (show && !wasShown && this.scrollManager) {
                 this.scrollManager.scrollToBottom();
             }
         }
     }
 
     handleTypingIndicator(data) {
+        clearTimeout(this.typingHideTimer);
+
         if (data.typing && this.state === AppState.CHATTING) {
             this.showTypingIndicator(true);
 
-            // Auto-hide after 3 seconds
-            setTimeout(() => {
+            // Hide if the partner goes quiet without saying so; each
+            // refresh pushes this back rather than stacking timers
+            this.typingHideTimer = setTimeout(() => {
                 this.showTypingIndicator(false);
-            }, 3000);
+            }, TYPING_DISPLAY_MS);
         } else {
             this.showTypingIndicator(false);
         }
     }
 
-    // ========== ERROR HANDLING ==========
+    handleLocalTyping() {
+        // Typing isn't shared in group rooms
+        if (this.state !== AppState.CHATTING || !msgInput || this.group) return;
 
-    handlePartnerLeft(data) {
-        const reason = data.reason || 'Partner disconnected';
-        this.showToast(reason, 'info');
-        this.performRematch(reason);
+        clearTimeout(this.typingIdleTimer);
+        if (!msgInput.value.trim()) {
+            this.setTyping(false);
+            return;
+        }
+
+        if (!this.isTyping || Date.now() - this.typingSentAt >= TYPING_REFRESH_MS) {
+            this.setTyping(true);
+        }
+        this.typingIdleTimer = setTimeout(() => this.setTyping(false), TYPING_IDLE_MS);
     }
 
-    handleServerError(data) {
-        console.error('Server error:', data);
-        const message = data.message || 'Server error occurred';
-        this.showToast(message, 'error');
+    setTyping(typing) {
+        if (!typing) {
+            clearTimeout(this.typingIdleTimer);
+            if (!this.isTyping) return;
+        }
 
-        if (data.code === 'rate_limit') {
-            setTimeout(() => this.performRematch('Rate limit exceeded'), 5000);
-        } else if (data.code === 'name_taken') {
-            this.showToast('Name is already taken. Please choose another.', 'error');
-            if (usernameScreen && chatScreen) {
-                chatScreen.style.opacity = '0';
-                setTimeout(() => {
-                    chatScreen.style.display = 'none';
-                    usernameScreen.style.display = 'flex';
-                    setTimeout(() => {
-                        usernameScreen.style.opacity = '1';
-                        if (usernameInput) usernameInput.focus();
-                    }, 10);
-                }, 300);
+        this.isTyping = typing;
+        this.typingSentAt = Date.now();
+
+        // Best effort: never queued, a stale "typing" is worse than none
+        try {
+            if (this.hasDirectChannel()) {
+                this.sendEnvelope('typing', { typing });
+            } else if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+                this.socket.send(JSON.stringify({ type: 'typing', typing }));
             }
+        } catch (error) {
+            console.warn('Could not send typing state:', error);
         }
     }
 
-    handleDisconnect(reason) {
-        console.log('Disconnect:', reason);
-        this.showToast(reason, 'error');
-        this.setState(AppState.DISCONNECTED);
-        this.cleanupConnection();
+    // ========== DATA CHANNEL PROTOCOL ==========
+
+    createMessageId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
     }
 
-    async handleReconnect() {
-        // Don't reconnect if already reconnecting or at max attempts
-        if (this.isReconnecting) {
-            return;
+    // Returns the envelope sent, or null if nothing was sent.
+    //
+    // Fallback for older clients, which show every string as chat text
+    // except a bare { type: 'typing', typing } object: until the partner
+    // has said it reads envelopes, text goes out as the raw string and
+    // typing in that old shape, and everything else is dropped. The
+    // initiator learns from the receiver's "hello"; the receiver from the
+    // chat channel's CHAT_PROTOCOL subprotocol.
+    sendEnvelope(type, body) {
+        if (!this.hasDirectChannel()) return null;
+
+        const envelope = { v: PROTOCOL_VERSION, id: this.createMessageId(), type, ts: Date.now(), body };
+        if (this.peerEnvelopes) {
+            this.dataChannel.send(JSON.stringify(envelope));
+        } else if (type === 'text') {
+            this.dataChannel.send(body.text);
+        } else if (type === 'typing') {
+            this.dataChannel.send(JSON.stringify({ type: 'typing', typing: body.typing }));
+        } else {
+            return null;
         }
+        return envelope;
+    }
 
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            this.showToast('Maximum reconnection attempts reached. Please refresh the page.', 'error');
-            
-            // Offer manual refresh option after delay
-            setTimeout(() => {
-                if (this.state !== AppState.CHATTING && this.state !== AppState.CONNECTED) {
-                    if (confirm('Unable to reconnect. Would you like to refresh the page?')) {
-                        window.location.reload();
-                    }
-                }
-            }, 1000);
-            return;
-        }
+    // Returns a validated envelope, or null for anything malformed.
+    // Peers from before the envelope send chat lines as raw strings and
+    // typing as a bare { type, typing } object; both are wrapped here.
+    parseEnvelope(raw) {
+        if (typeof raw !== 'string' || !raw || raw.length > MAX_ENVELOPE_CHARS) return null;
 
-        this.isReconnecting = true;
-        this.reconnectAttempts++;
-        
-        const attemptMsg = `Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`;
-        this.showToast(attemptMsg, 'info');
-        this.setState(AppState.CONNECTING);
+        let data = null;
+        if (raw.charAt(0) === '{') {
+            try {
+                data = JSON.parse(raw);
+            } catch (error) {
+                // Ordinary text that happens to start with "{"
+            }
+        }
 
-        try {
-            await this.initSocket();
-            this.isReconnecting = false;
-        } catch (error) {
-            console.error('Reconnection attempt failed:', error);
-            this.isReconnecting = false;
-            
-            // Exponential backoff with jitter
-            const baseDelay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
-            const jitter = Math.random() * 1000;
-            const delay = baseDelay + jitter;
-            
-            console.log(`Next reconnection attempt in ${Math.round(delay/1000)} seconds`);
-            
-            setTimeout(() => {
-                // Only retry if still disconnected or in error state
-                if (this.state !== AppState.CHATTING && this.state !== AppState.CONNECTED) {
-                    this.handleReconnect();
-                }
-            }, delay);
+        if (!this.isPlainObject(data)) {
+            return this.legacyEnvelope('text', { text: raw.slice(0, MAX_MESSAGE_LENGTH) });
+        }
+        if (!('v' in data)) {
+            if (data.type === 'typing' && typeof data.typing === 'boolean' && Object.keys(data).length === 2) {
+                return this.legacyEnvelope('typing', { typing: data.typing });
+            }
+            return this.legacyEnvelope('text', { text: raw.slice(0, MAX_MESSAGE_LENGTH) });
         }
-    }
 
-    performRematch(reason) {
-        console.log('Rematching:', reason);
+        const valid = Number.isInteger(data.v) && data.v >= 1 &&
+            typeof data.id === 'string' && data.id.length > 0 && data.id.length <= 64 &&
+            typeof data.type === 'string' &&
+            Number.isFinite(data.ts) &&
+            this.isPlainObject(data.body);
+        if (!valid) {
+            console.warn('Dropping malformed data channel message');
+            return null;
+        }
 
-        // Show reason to user
-        if (reason && reason !== 'User requested new partner') {
-            this.showToast(reason, 'info');
+        const validate = ENVELOPE_BODIES[data.type];
+        if (validate && !validate(data.body)) {
+            console.warn(`Dropping invalid "${data.type}" message`);
+            return null;
         }
+        return data;
+    }
 
-        // Clean up
-        this.cleanupWebRTC();
-        this.clearMessages();
-        this.partnerName = '';
-        this.messageQueue = [];
+    legacyEnvelope(type, body) {
+        return { v: 0, id: null, type, ts: Date.now(), body };
+    }
 
-        // Update UI
-        this.updateStatus('Finding new partner...', 'info');
-        this.setState(AppState.SEARCHING);
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
 
-        // Request new match
-        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-            this.sendSocketMessage({
-                type: "join",
-                name: this.myName,
-                timestamp: Date.now()
+    handleEnvelope(envelope) {
+        const { body } = envelope;
+
+        switch (envelope.type) {
+            case 'text':
+                this.receiveChatMessage(body.text, envelope.id);
+                if (envelope.id) {
+                    this.sendEnvelope('receipt', { ids: [envelope.id], status: 'delivered' });
+                }
+                break;
+            case 'typing':
+                this.handleTypingIndicator(body);
+                break;
+            case 'receipt':
+                body.ids.forEach(id => {
+                    const message = this.findMessageElement(id);
+                    if (message && message.classList.contains('me')) {
+                        message.classList.add(body.status);
+                    }
+                });
+                break;
+            case 'reaction':
+                this.showReaction(body.target, body.emoji);
+                break;
+            case 'control':
+                if (body.action === 'hello') {
+                    this.peerEnvelopes = true;
+                    if (body.version > PROTOCOL_VERSION) {
+                        console.info(`Partner speaks protocol v${body.version}; newer messages will be ignored`);
+                    }
+                }
+                break;
+            default:
+                // From a newer client: safe to skip, the chat carries on
+                console.debug('Ignoring unknown data channel message:', envelope.type);
+        }
+    }
+
+    // A message we showed as sent that never reached the other side
+    markMessageFailed(id) {
+        const message = this.findMessageElement(id);
+        if (!message || !message.classList.contains('me')) return;
+
+        message.classList.add('failed');
+        message.title = 'Not sent: you were sending too fast';
+    }
+
+    findMessageElement(id) {
+        if (!messagesObj) return null;
+        return Array.from(messagesObj.children).find(element => element.dataset.id === id) || null;
+    }
+
+    // One reaction per message from the partner; an empty emoji clears it
+    showReaction(target, emoji) {
+        const message = this.findMessageElement(target);
+        if (!message) return;
+
+        let reaction = message.querySelector('.message-reaction');
+        if (!emoji) {
+            if (reaction) reaction.remove();
+            return;
+        }
+        if (!reaction) {
+            reaction = document.createElement('span');
+            reaction.className = 'message-reaction';
+            message.appendChild(reaction);
+        }
+        reaction.textContent = emoji;
+    }
+
+    // ========== FILE SHARING ==========
+    // Files use their own "files" channel so a big transfer never holds up
+    // chat text. Control messages are JSON strings; once the receiver
+    // accepts, the file follows as binary chunks.
+
+    setupFileChannel() {
+        const channel = this.fileChannel;
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = FILE_BUFFER_LOW;
+
+        channel.onopen = () => this.updateAttachButton();
+        channel.onclose = () => {
+            if (this.fileChannel === channel) {
+                this.stopTransfers('Transfer interrupted');
+                this.fileChannel = null;
+            }
+            this.updateAttachButton();
+        };
+        channel.onerror = (error) => {
+            console.error('File channel error:', error);
+        };
+        channel.onmessage = (event) => {
+            if (typeof event.data === 'string') {
+                this.handleFileControl(event.data);
+            } else {
+                this.receiveFileChunk(event.data);
+            }
+        };
+    }
+
+    hasFileChannel() {
+        return this.fileChannel !== null && this.fileChannel.readyState === 'open';
+    }
+
+    updateAttachButton() {
+        if (attachBtn) {
+            attachBtn.disabled = this.state !== AppState.CHATTING || !this.hasFileChannel();
+        }
+    }
+
+    sendFile(file) {
+        if (!file) return;
+
+        if (!this.hasFileChannel()) {
+            this.showToast('Sharing files needs a direct connection', 'warning');
+            return;
+        }
+        if (!ALLOWED_FILE_TYPES.includes(file.type)) {
+            this.showToast('Only images (PNG, JPEG, GIF, WebP), PDFs and text files can be sent', 'warning');
+            return;
+        }
+        if (file.size === 0 || file.size > MAX_FILE_BYTES) {
+            this.showToast(`Files can be up to ${this.formatBytes(MAX_FILE_BYTES)}`, 'warning');
+            return;
+        }
+
+        const transfer = {
+            id: this.createMessageId(),
+            direction: 'out',
+            name: file.name,
+            size: file.size,
+            mime: file.type,
+            file,
+            state: 'offered',
+            bytes: 0
+        };
+        this.transfers.set(transfer.id, transfer);
+        this.addFileMessage(transfer);
+        this.setFileStatus(transfer, `Waiting for ${this.partnerName || 'your partner'} to accept...`, [
+            { label: 'Cancel', action: () => this.cancelTransfer(transfer) }
+        ]);
+
+        this.sendFileControl({
+            type: 'file-offer',
+            id: transfer.id,
+            name: transfer.name,
+            size: transfer.size,
+            mime: transfer.mime
+        });
+    }
+
+    sendFileControl(message) {
+        if (!this.hasFileChannel()) return;
+
+        try {
+            this.fileChannel.send(JSON.stringify(message));
+        } catch (error) {
+            console.warn('Could not send file control message:', error);
+        }
+    }
+
+    handleFileControl(raw) {
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            return;
+        }
+        if (!data || typeof data.id !== 'string') return;
+
+        const transfer = this.transfers.get(data.id);
+        const outgoing = transfer && transfer.direction === 'out';
+        const incoming = transfer && transfer.direction === 'in';
+
+        switch (data.type) {
+            case 'file-offer':
+                this.handleFileOffer(data);
+                break;
+            case 'file-accept':
+                if (outgoing && transfer.state === 'offered') {
+                    transfer.state = 'queued';
+                    this.setFileStatus(transfer, 'Sending...', [
+                        { label: 'Cancel', action: () => this.cancelTransfer(transfer) }
+                    ]);
+                    this.fileSendQueue.push(transfer);
+                    this.pumpFileQueue();
+                }
+                break;
+            case 'file-decline':
+                if (outgoing && transfer.state === 'offered') {
+                    this.finishTransfer(transfer, 'declined', 'Declined');
+                }
+                break;
+            case 'file-start':
+                if (incoming && transfer.state === 'accepted') {
+                    transfer.state = 'receiving';
+                    this.receivingFile = transfer;
+                }
+                break;
+            case 'file-end':
+                if (incoming && transfer === this.receivingFile) {
+                    this.completeIncomingFile(transfer);
+                }
+                break;
+            case 'file-cancel':
+                if (transfer) {
+                    this.finishTransfer(transfer, 'cancelled', `Cancelled by ${this.partnerName || 'your partner'}`);
+                }
+                break;
+        }
+    }
+
+    // Offers are checked against our own limits; the sender's aren't trusted
+    handleFileOffer(data) {
+        const name = typeof data.name === 'string' ? data.name.trim().slice(0, 200) : '';
+        const valid = name &&
+            !this.transfers.has(data.id) &&
+            Number.isInteger(data.size) && data.size > 0 && data.size <= MAX_FILE_BYTES &&
+            ALLOWED_FILE_TYPES.includes(data.mime);
+
+        if (!valid) {
+            this.sendFileControl({ type: 'file-decline', id: data.id });
+            this.addSystemMessage(`${this.partnerName || 'Your partner'} tried to send a file that isn't allowed`);
+            return;
+        }
+
+        const transfer = {
+            id: data.id,
+            direction: 'in',
+            name,
+            size: data.size,
+            mime: data.mime,
+            chunks: [],
+            state: 'offered',
+            bytes: 0
+        };
+        this.transfers.set(transfer.id, transfer);
+        this.addFileMessage(transfer);
+
+        const what = transfer.mime.startsWith('image/') ? 'an image' : 'a file';
+        this.setFileStatus(transfer, `${this.partnerName || 'Your partner'} wants to send you ${what}`, [
+            { label: 'Accept', action: () => this.acceptTransfer(transfer) },
+            { label: 'Decline', action: () => this.declineTransfer(transfer) }
+        ]);
+    }
+
+    acceptTransfer(transfer) {
+        if (transfer.state !== 'offered') return;
+
+        transfer.state = 'accepted';
+        this.setFileStatus(transfer, 'Receiving...', [
+            { label: 'Cancel', action: () => this.cancelTransfer(transfer) }
+        ]);
+        this.sendFileControl({ type: 'file-accept', id: transfer.id });
+    }
+
+    declineTransfer(transfer) {
+        if (transfer.state !== 'offered') return;
+
+        this.sendFileControl({ type: 'file-decline', id: transfer.id });
+        this.finishTransfer(transfer, 'declined', 'Declined');
+    }
+
+    cancelTransfer(transfer) {
+        this.sendFileControl({ type: 'file-cancel', id: transfer.id });
+        this.finishTransfer(transfer, 'cancelled', 'Cancelled');
+    }
+
+    // Files go one at a time, in the order they were accepted
+    async pumpFileQueue() {
+        if (this.sendingFile) return;
+
+        const transfer = this.fileSendQueue.shift();
+        if (!transfer) return;
+
+        this.sendingFile = transfer;
+        try {
+            await this.streamFile(transfer);
+        } catch (error) {
+            console.error('File transfer failed:', error);
+            if (transfer.state === 'sending') {
+                this.sendFileControl({ type: 'file-cancel', id: transfer.id });
+                this.finishTransfer(transfer, 'failed', 'Transfer failed');
+            }
+        }
+
+        if (this.sendingFile === transfer) {
+            this.sendingFile = null;
+            this.pumpFileQueue();
+        }
+    }
+
+    async streamFile(transfer) {
+        const channel = this.fileChannel;
+        transfer.state = 'sending';
+        this.sendFileControl({ type: 'file-start', id: transfer.id });
+
+        while (transfer.bytes < transfer.size) {
+            if (transfer.state !== 'sending' || channel.readyState !== 'open') return;
+
+            // Backpressure: let the channel drain rather than buffer the whole file
+            if (channel.bufferedAmount > FILE_BUFFER_HIGH) {
+                await this.waitForFileDrain(channel);
+                continue;
+            }
+
+            const chunk = await transfer.file.slice(transfer.bytes, transfer.bytes + FILE_CHUNK_BYTES).arrayBuffer();
+            if (transfer.state !== 'sending' || channel.readyState !== 'open') return;
+
+            channel.send(chunk);
+            transfer.bytes += chunk.byteLength;
+            this.setFileProgress(transfer);
+        }
+
+        this.sendFileControl({ type: 'file-end', id: transfer.id });
+        this.finishTransfer(transfer, 'done', 'Sent');
+        if (transfer.mime.startsWith('image/')) {
+            this.showFileContent(transfer, URL.createObjectURL(transfer.file));
+        }
+    }
+
+    waitForFileDrain(channel) {
+        return new Promise(resolve => {
+            const done = () => {
+                channel.removeEventListener('bufferedamountlow', done);
+                channel.removeEventListener('close', done);
+                resolve();
+            };
+            channel.addEventListener('bufferedamountlow', done);
+            channel.addEventListener('close', done);
+        });
+    }
+
+    receiveFileChunk(buffer) {
+        const transfer = this.receivingFile;
+        if (!transfer) return;
+
+        transfer.bytes += buffer.byteLength;
+        if (transfer.bytes > transfer.size) {
+            // More than was offered: not the file we agreed to
+            this.sendFileControl({ type: 'file-cancel', id: transfer.id });
+            this.finishTransfer(transfer, 'failed', 'Transfer failed');
+            return;
+        }
+
+        transfer.chunks.push(buffer);
+        this.setFileProgress(transfer);
+    }
+
+    completeIncomingFile(transfer) {
+        if (transfer.bytes !== transfer.size) {
+            this.finishTransfer(transfer, 'failed', 'Transfer incomplete');
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob(transfer.chunks, { type: transfer.mime }));
+        const image = transfer.mime.startsWith('image/');
+        this.finishTransfer(transfer, 'done', image ? 'Click the image to show it' : 'Received');
+        this.showFileContent(transfer, url);
+    }
+
+    // Ends a transfer for good, whatever state it was in
+    finishTransfer(transfer, state, status) {
+        transfer.state = state;
+        transfer.chunks = null;
+        this.fileSendQueue = this.fileSendQueue.filter(queued => queued !== transfer);
+        if (this.receivingFile === transfer) this.receivingFile = null;
+
+        if (state === 'done') {
+            this.setFileProgress(transfer);
+        }
+        this.setFileStatus(transfer, status);
+    }
+
+    stopTransfers(reason) {
+        for (const transfer of this.transfers.values()) {
+            if (['offered', 'accepted', 'queued', 'sending', 'receiving'].includes(transfer.state)) {
+                this.finishTransfer(transfer, 'failed', reason);
+            }
+        }
+
+        this.transfers.clear();
+        this.fileSendQueue = [];
+        this.sendingFile = null;
+        this.receivingFile = null;
+    }
+
+    addFileMessage(transfer) {
+        if (!messagesObj) return;
+
+        const emptyState = messagesObj.querySelector('.empty-state');
+        if (emptyState) {
+            emptyState.remove();
+        }
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${transfer.direction === 'out' ? 'me' : 'them'} file-message`;
+
+        const info = document.createElement('div');
+        info.className = 'file-info';
+        const icon = document.createElement('i');
+        icon.className = transfer.mime.startsWith('image/') ? 'fas fa-image' : 'fas fa-file';
+        const name = document.createElement('span');
+        name.className = 'file-name';
+        name.textContent = transfer.name;
+        const size = document.createElement('span');
+        size.className = 'file-size';
+        size.textContent = this.formatBytes(transfer.size);
+        info.append(icon, name, size);
+
+        const progress = document.createElement('div');
+        progress.className = 'file-progress';
+        const bar = document.createElement('div');
+        bar.className = 'file-progress-bar';
+        progress.appendChild(bar);
+
+        const status = document.createElement('div');
+        status.className = 'file-status';
+
+        const actions = document.createElement('div');
+        actions.className = 'file-actions';
+
+        const timestamp = document.createElement('div');
+        timestamp.className = 'message-timestamp';
+        timestamp.textContent = this.formatTime(Date.now());
+
+        messageDiv.append(info, progress, status, actions, timestamp);
+        messagesObj.appendChild(messageDiv);
+        transfer.ui = { messageDiv, progress, bar, status, actions };
+
+        if (this.scrollManager) {
+            this.scrollManager.handleNewMessage();
+        }
+    }
+
+    setFileStatus(transfer, text, actions = []) {
+        if (!transfer.ui) return;
+
+        transfer.ui.status.textContent = text;
+        transfer.ui.actions.innerHTML = '';
+        for (const { label, action } of actions) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', action);
+            transfer.ui.actions.appendChild(button);
+        }
+    }
+
+    setFileProgress(transfer) {
+        if (!transfer.ui) return;
+        transfer.ui.bar.style.width = `${Math.floor((transfer.bytes / transfer.size) * 100)}%`;
+    }
+
+    // Images from the other side start blurred: this is a chat with strangers
+    showFileContent(transfer, url) {
+        if (!transfer.ui) return;
+        this.objectUrls.push(url);
+        transfer.ui.progress.remove();
+
+        if (!transfer.mime.startsWith('image/')) {
+            const link = document.createElement('a');
+            link.className = 'file-download';
+            link.href = url;
+            link.download = transfer.name;
+            link.textContent = 'Download';
+            transfer.ui.messageDiv.insertBefore(link, transfer.ui.actions);
+            return;
+        }
+
+        const preview = document.createElement('div');
+        preview.className = 'file-preview';
+        const image = document.createElement('img');
+        image.className = 'file-image';
+        image.alt = transfer.name;
+        image.src = url;
+        image.addEventListener('error', () => {
+            preview.remove();
+            this.setFileStatus(transfer, 'This image could not be displayed');
+        });
+
+        if (transfer.direction === 'in') {
+            image.classList.add('blurred');
+            image.title = 'Click to show';
+            image.addEventListener('click', () => {
+                image.classList.remove('blurred');
+                image.title = '';
+                this.setFileStatus(transfer, 'Received');
+            }, { once: true });
+        }
+
+        preview.appendChild(image);
+        transfer.ui.messageDiv.insertBefore(preview, transfer.ui.actions);
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // ========== VOICE & VIDEO ==========
+
+    getSelectedMode() {
+        const selected = Array.from(modeInputs).find(input => input.checked);
+        return selected && MEDIA_CONSTRAINTS[selected.value] ? selected.value : 'text';
+    }
+
+    // Resolves with the mode we can actually use: without camera/mic
+    // access that's text, and we match with text users instead
+    async startLocalMedia(mode) {
+        this.stopLocalMedia();
+        if (mode === 'text') return 'text';
+
+        try {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                throw new Error('Media devices are not available (HTTPS is required)');
+            }
+            this.localStream = await navigator.mediaDevices.getUserMedia(MEDIA_CONSTRAINTS[mode]);
+        } catch (error) {
+            console.warn('Could not access camera/microphone:', error);
+            const what = mode === 'video' ? 'camera and microphone' : 'microphone';
+            this.showToast(`No access to your ${what}, so you'll be matched for text chat instead.`, 'warning', 6000);
+            return 'text';
+        }
+
+        this.micMuted = false;
+        this.cameraOff = false;
+        if (localVideo) localVideo.srcObject = this.localStream;
+        if (mediaArea) {
+            mediaArea.hidden = false;
+            mediaArea.classList.toggle('voice-only', mode === 'voice');
+        }
+        if (cameraBtn) cameraBtn.hidden = mode !== 'video';
+        this.updateMediaButtons();
+        return mode;
+    }
+
+    stopLocalMedia() {
+        if (this.localStream) {
+            this.localStream.getTracks().forEach(track => track.stop());
+            this.localStream = null;
+        }
+        if (localVideo) localVideo.srcObject = null;
+        if (mediaArea) mediaArea.hidden = true;
+    }
+
+    // Disabled tracks keep flowing (as silence/black), so nothing
+    // needs renegotiating
+    toggleMicrophone() {
+        if (!this.localStream) return;
+
+        this.micMuted = !this.micMuted;
+        this.localStream.getAudioTracks().forEach(track => {
+            track.enabled = !this.micMuted;
+        });
+        this.updateMediaButtons();
+    }
+
+    toggleCamera() {
+        if (!this.localStream) return;
+
+        this.cameraOff = !this.cameraOff;
+        this.localStream.getVideoTracks().forEach(track => {
+            track.enabled = !this.cameraOff;
+        });
+        this.updateMediaButtons();
+    }
+
+    updateMediaButtons() {
+        if (muteBtn) {
+            muteBtn.classList.toggle('off', this.micMuted);
+            muteBtn.title = this.micMuted ? 'Unmute microphone' : 'Mute microphone';
+            muteBtn.innerHTML = `<i class="fas fa-microphone${this.micMuted ? '-slash' : ''}"></i>`;
+        }
+        if (cameraBtn) {
+            cameraBtn.classList.toggle('off', this.cameraOff);
+            cameraBtn.title = this.cameraOff ? 'Turn camera on' : 'Turn camera off';
+            cameraBtn.innerHTML = `<i class="fas fa-video${this.cameraOff ? '-slash' : ''}"></i>`;
+        }
+    }
+
+    // ========== PRIVATE & GROUP ROOMS ==========
+
+    // Opened through someone's invite link: join their room or group
+    // instead of the random queue
+    readInviteLink() {
+        const params = new URLSearchParams(window.location.search);
+        const groupCode = params.get(GROUP_PARAM);
+        const roomCode = params.get(ROOM_PARAM);
+
+        if (groupCode && ROOM_CODE_PATTERN.test(groupCode)) {
+            this.group = { code: groupCode, selfId: null, members: new Map() };
+            this.showInvite('Join group chat', "You've been invited to a group chat");
+        } else if (roomCode && ROOM_CODE_PATTERN.test(roomCode)) {
+            this.room = { code: roomCode, host: false };
+            this.showInvite('Join private chat', "You've been invited to a private chat");
+        }
+    }
+
+    showInvite(buttonText, subtitle) {
+        if (startBtn) startBtn.textContent = buttonText;
+        if (welcomeSubtitle) welcomeSubtitle.textContent = subtitle;
+        if (createRoomBtn) createRoomBtn.hidden = true;
+        if (createGroupBtn) createGroupBtn.hidden = true;
+    }
+
+    // The link has been used up; the welcome screen is for random chats again
+    clearInvite() {
+        const url = new URL(window.location.href);
+        if (url.searchParams.has(ROOM_PARAM) || url.searchParams.has(GROUP_PARAM)) {
+            url.searchParams.delete(ROOM_PARAM);
+            url.searchParams.delete(GROUP_PARAM);
+            window.history.replaceState(null, '', url.toString());
+        }
+
+        if (startBtn) startBtn.textContent = 'Start Chatting';
+        if (welcomeSubtitle) welcomeSubtitle.textContent = 'Chat anonymously with random people';
+        if (createRoomBtn) createRoomBtn.hidden = false;
+        if (createGroupBtn) createGroupBtn.hidden = false;
+    }
+
+    getInviteLink(param, code) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set(param, code);
+        return url.toString();
+    }
+
+    async copyInviteLink(link) {
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showToast('Invite link copied', 'success');
+        } catch (error) {
+            // Clipboard needs focus and permission; the link is on screen anyway
+            console.warn('Could not copy invite link:', error);
+        }
+    }
+
+    handleRoomCreated(data) {
+        if (!this.room || !this.room.host) return;
+
+        this.room.code = data.code;
+        const link = this.getInviteLink(ROOM_PARAM, data.code);
+        const minutes = Math.max(1, Math.round((data.expiresInMs || 0) / 60000));
+
+        this.clearMessages();
+        this.addSystemMessage(`Send this link to the person you want to chat with: ${link}`);
+        this.addSystemMessage(`It works once and expires if nobody opens it within ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+        this.updateStatus('Waiting for your guest...', 'info');
+        this.copyInviteLink(link);
+    }
+
+    // The host gives up waiting; the server closes the room too
+    cancelRoom() {
+        this.sendSocketMessage({ type: "cancel-room" });
+        this.leaveRoom();
+        this.setState(AppState.CONNECTED);
+        this.showWelcomeScreen();
+    }
+
+    // Back to random chats; the invite link is used up either way
+    leaveRoom() {
+        if (!this.room) return;
+
+        this.room = null;
+        this.clearInvite();
+    }
+
+    // Group messages all go through the server; there's no peer connection
+    handleGroupJoined(data) {
+        if (!this.group) return;
+
+        // A dropped socket rejoins the same group; keep the conversation
+        const firstJoin = this.group.selfId === null;
+        const created = !this.group.code;
+
+        this.group.code = data.code;
+        this.group.selfId = data.you;
+        this.group.members = new Map(data.members.map(member => [member.id, this.toGroupMember(member)]));
+        this.partnerName = '';
+
+        if (firstJoin) {
+            this.clearMessages();
+        }
+        this.setState(AppState.CHATTING);
+        this.renderMemberList();
+        this.showPartnerStatus();
+
+        if (!firstJoin) {
+            this.addSystemMessage('Reconnected to the group');
+            return;
+        }
+
+        const link = this.getInviteLink(GROUP_PARAM, data.code);
+        this.addSystemMessage(`Invite up to ${data.maxSize - 1} others with this link: ${link}`);
+        if (created) {
+            this.copyInviteLink(link);
+        }
+    }
+
+    handleGroupMemberJoined(data) {
+        if (!this.group || this.state !== AppState.CHATTING) return;
+
+        const member = this.toGroupMember(data.member);
+        this.group.members.set(data.member.id, member);
+        this.addSystemMessage(`${member.name} joined`);
+        this.renderMemberList();
+        this.showPartnerStatus();
+    }
+
+    handleGroupMemberLeft(data) {
+        if (!this.group) return;
+
+        const member = this.group.members.get(data.id);
+        if (!member) return;
+
+        this.group.members.delete(data.id);
+        this.addSystemMessage(`${member.name} ${data.reason === 'disconnected' ? 'disconnected' : 'left'}`);
+        this.renderMemberList();
+        this.showPartnerStatus();
+    }
+
+    handleGroupMessage(data) {
+        if (!this.group) return;
+
+        const member = this.group.members.get(data.from);
+        this.addMessage({
+            text: data.text,
+            sender: member ? member.name : 'Someone',
+            color: member ? member.color : MEMBER_COLORS[0],
+            type: 'them',
+            timestamp: Date.now()
+        });
+    }
+
+    toGroupMember({ id, name }) {
+        return { name, color: this.memberColor(id) };
+    }
+
+    // Derived from the member id, so everyone sees the same colors
+    memberColor(id) {
+        let hash = 0;
+        for (const char of id) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return MEMBER_COLORS[hash % MEMBER_COLORS.length];
+    }
+
+    renderMemberList() {
+        if (!memberList) return;
+
+        memberList.hidden = !this.group;
+        memberList.innerHTML = '';
+        if (!this.group) return;
+
+        for (const [id, member] of this.group.members) {
+            const chip = document.createElement('span');
+            chip.className = 'member-chip';
+
+            const dot = document.createElement('span');
+            dot.className = 'member-dot';
+            dot.style.background = member.color;
+            chip.appendChild(dot);
+
+            const name = document.createElement('span');
+            name.textContent = id === this.group.selfId ? `${member.name} (you)` : member.name;
+            chip.appendChild(name);
+
+            memberList.appendChild(chip);
+        }
+    }
+
+    leaveGroup() {
+        if (!this.group) return;
+
+        this.group = null;
+        this.renderMemberList();
+        this.clearInvite();
+    }
+
+    // ========== REPORTING ==========
+
+    openReportDialog() {
+        if (this.state !== AppState.CHATTING || !reportDialog) return;
+        reportDialog.style.display = 'flex';
+    }
+
+    closeReportDialog() {
+        if (reportDialog) {
+            reportDialog.style.display = 'none';
+        }
+    }
+
+    sendReport(reason) {
+        this.closeReportDialog();
+
+        if (!this.sendSocketMessage({ type: "report", reason })) {
+            this.showToast('Could not send report. Please try again.', 'error');
+        }
+    }
+
+    // ========== ERROR HANDLING ==========
+
+    handlePartnerLeft(data) {
+        const reason = data.reason || 'Partner disconnected';
+        this.showToast(reason, 'info');
+
+        // A private chat doesn't roll over into a random one
+        if (this.room) {
+            this.leaveRoom();
+            this.handleChatEnded({ reason: `${reason}. Press Next to chat with someone new.` });
+            return;
+        }
+
+        // Server already put us back in the queue, so don't join again
+        this.performRematch(reason, { rejoin: !data.requeued });
+    }
+
+    // ========== PRESENCE ==========
+
+    handlePartnerAway(data) {
+        if (this.state !== AppState.CHATTING) return;
+
+        let notice = 'Stranger switched away';
+        if (typeof data.endsInMs === 'number' && data.endsInMs > 0) {
+            const minutes = Math.max(1, Math.round(data.endsInMs / 60000));
+            notice += ` (the chat ends if they're not back within ${minutes} minute${minutes === 1 ? '' : 's'})`;
+        }
+
+        this.handleTypingIndicator({ typing: false });
+        this.addSystemMessage(notice);
+        this.updateStatus(`${this.partnerName} (away)`, 'warning');
+    }
+
+    handlePartnerBack() {
+        if (this.state !== AppState.CHATTING) return;
+
+        this.addSystemMessage('Stranger is back');
+        this.showPartnerStatus();
+    }
+
+    // We were away past the server's limit; don't look for someone new
+    // until the user is back and asks for it
+    handleChatEnded(data) {
+        this.setState(AppState.CONNECTED);
+        this.cleanupWebRTC();
+        this.addSystemMessage(data.reason || 'The chat has ended.');
+        this.updateStatus('Chat ended', 'info');
+    }
+
+    showPartnerStatus() {
+        if (this.group) {
+            const count = this.group.members.size;
+            this.updateStatus(`Group · ${count} ${count === 1 ? 'person' : 'people'}`, 'success');
+        } else if (this.relayMode) {
+            this.updateStatus(`${this.partnerName} (relayed)`, 'warning');
+        } else {
+            this.updateStatus(this.partnerName || 'Chat active', 'success');
+        }
+    }
+
+    handleServerError(data) {
+        console.error('Server error:', data);
+
+        // The chat carries on over the data channel if it still can. A
+        // relayed chat ran through the old session, so it is over.
+        if (data.code === 'resume_failed') {
+            if (this.state === AppState.CHATTING && !this.hasDirectChannel()) {
+                this.handlePartnerLeft({ reason: 'The connection dropped and the chat could not be resumed' });
+            }
+            return;
+        }
+
+        const message = data.message || 'Server error occurred';
+        this.showToast(message, 'error');
+
+        if (data.code === 'rate_limit') {
+            // Mid-chat that only means messages, typing or presence went out
+            // too fast; the chat stays up. Only join and signal floods start over.
+            if (this.state === AppState.CHATTING && !['join', 'signal'].includes(data.action)) {
+                if (data.action === 'relay' && data.ref) this.markMessageFailed(data.ref);
+                return;
+            }
+            setTimeout(() => this.performRematch('Rate limit exceeded'), 5000);
+        } else if (data.code === 'name_taken' || data.code === 'invalid_name') {
+            if (data.code === 'name_taken') {
+                this.showToast('Name is already taken. Please choose another.', 'error');
+            }
+
+            // The server never queued us, so let the user pick again
+            this.setState(AppState.CONNECTED);
+            this.showWelcomeScreen();
+        } else if (data.code === 'room_full' || data.code === 'room_expired') {
+            // Dead invite link, or our own room timed out
+            this.leaveRoom();
+            this.leaveGroup();
+            this.setState(AppState.CONNECTED);
+            this.showWelcomeScreen();
+        } else if (data.code === 'banned') {
+            const minutes = Math.max(1, Math.ceil((data.retryAfter || 0) / 60));
+            this.showToast(`${message} Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 'error', 10000);
+            this.setState(AppState.CONNECTED);
+            this.updateStatus('Temporarily banned', 'error');
+        }
+    }
+
+    showWelcomeScreen() {
+        // The mode may change before the next start
+        this.stopLocalMedia();
+
+        if (usernameScreen && chatScreen) {
+            chatScreen.style.opacity = '0';
+            setTimeout(() => {
+                chatScreen.style.display = 'none';
+                usernameScreen.style.display = 'flex';
+                setTimeout(() => {
+                    usernameScreen.style.opacity = '1';
+                    if (usernameInput) usernameInput.focus();
+                }, 10);
+            }, 300);
+        }
+    }
+
+    handleDisconnect(reason) {
+        console.log('Disconnect:', reason);
+        this.showToast(reason, 'error');
+        this.setState(AppState.DISCONNECTED);
+        this.cleanupConnection();
+    }
+
+    async handleReconnect() {
+        // Don't reconnect if already reconnecting or at max attempts;
+        // after an announced restart retryAfterRestart is in charge
+        if (this.isReconnecting || this.restarting) {
+            return;
+        }
+
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.showToast('Maximum reconnection attempts reached. Please refresh the page.', 'error');
+            
+            // Offer manual refresh option after delay
+            setTimeout(() => {
+                if (this.state !== AppState.CHATTING && this.state !== AppState.CONNECTED) {
+                    if (confirm('Unable to reconnect. Would you like to refresh the page?')) {
+                        window.location.reload();
+                    }
+                }
+            }, 1000);
+            return;
+        }
+
+        this.isReconnecting = true;
+        this.reconnectAttempts++;
+        
+        const attemptMsg = `Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`;
+        const resuming = this.canResumeSession();
+        if (resuming) {
+            this.updateStatus(attemptMsg, 'warning');
+        } else {
+            this.showToast(attemptMsg, 'info');
+            this.setState(AppState.CONNECTING);
+        }
+
+        try {
+            await this.initSocket({ keepPeer: resuming });
+            this.isReconnecting = false;
+        } catch (error) {
+            console.error('Reconnection attempt failed:', error);
+            this.isReconnecting = false;
+            
+            // Exponential backoff with jitter
+            const baseDelay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
+            const jitter = Math.random() * 1000;
+            const delay = baseDelay + jitter;
+            
+            console.log(`Next reconnection attempt in ${Math.round(delay/1000)} seconds`);
+            
+            setTimeout(() => {
+                // Only retry if still disconnected or in error state
+                if (this.canResumeSession() ||
+                    (this.state !== AppState.CHATTING && this.state !== AppState.CONNECTED)) {
+                    this.handleReconnect();
+                }
+            }, delay);
+        }
+    }
+
+    canResumeSession() {
+        return this.state === AppState.CHATTING &&
+            (this.relayMode || this.hasDirectChannel());
+    }
+
+    hasDirectChannel() {
+        return this.dataChannel !== null && this.dataChannel.readyState === 'open';
+    }
+
+    handleServerRestarting(data) {
+        // Planned restart: reconnect on our own schedule without using up
+        // reconnectAttempts. A live chat carries on over the data channel.
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.close(1000, 'Server restarting');
+        }
+
+        // A relayed chat can't outlive its server
+        if (this.state !== AppState.CHATTING || !this.hasDirectChannel()) {
+            this.cleanupWebRTC();
+            this.setState(AppState.CONNECTING);
+            this.updateStatus('Reconnecting...', 'warning');
+        }
+
+        this.restarting = true;
+        this.restartAttempts = 0;
+        const retryAfter = typeof data.retryAfterMs === 'number' ? data.retryAfterMs : 2000;
+        this.scheduleRestartReconnect(retryAfter);
+    }
+
+    // Jitter so a whole server's users don't all come back at once
+    scheduleRestartReconnect(delay) {
+        clearTimeout(this.restartTimer);
+        this.restartTimer = setTimeout(() => {
+            this.restartAttempts++;
+            this.initSocket({ keepPeer: this.state === AppState.CHATTING }).catch(() => {
+                // initSocket has already scheduled the next try
             });
+        }, delay + Math.random() * 1000);
+    }
+
+    // The restart was announced, so failed attempts are expected: back
+    // off quietly, without error toasts or spending reconnectAttempts
+    retryAfterRestart() {
+        if (this.restartAttempts >= RESTART_MAX_ATTEMPTS) {
+            this.restarting = false;
+            this.handleReconnect();
+            return;
+        }
+
+        this.socket = null;
+        this.updateStatus('Server restarting, reconnecting...', 'warning');
+        this.scheduleRestartReconnect(Math.min(1000 * Math.pow(2, this.restartAttempts), RESTART_MAX_DELAY_MS));
+    }
+
+    performRematch(reason, { rejoin = true } = {}) {
+        console.log('Rematching:', reason);
+
+        // Show reason to user
+        if (reason && reason !== 'User requested new partner') {
+            this.showToast(reason, 'info');
+        }
+
+        // Clean up
+        this.cleanupWebRTC();
+        this.clearMessages();
+        this.partnerName = '';
+        this.messageQueue = [];
+
+        // Update UI
+        this.updateStatus('Finding new partner...', 'info');
+        this.setState(AppState.SEARCHING);
+
+        // Request new match
+        if (!rejoin) {
+            return;
+        }
+
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.sendJoin();
         } else {
             this.initSocket();
         }
@@ -1003,7 +2602,7 @@ class ChatApplication {
         }
 
         // Send ping to check connection
-        this.sendSocketMessage({ type: "ping" });
+        this.sendSocketMessage({ type: "ping", ts: Date.now() });
         
         // Check data channel health
         if (this.dataChannel && this.dataChannel.readyState !== 'open') {
@@ -1018,7 +2617,7 @@ class ChatApplication {
         
         const isValid = name.length >= 2 && 
                        name.length <= 20 && 
-                       /^[a-zA-Z0-9\s\-_]+$/.test(name);
+                       /^[\p{L}\p{N}\s\-_]+$/u.test(name);
 
         // Visual feedback
         if (usernameInput) {
@@ -1034,6 +2633,15 @@ class ChatApplication {
         return isValid;
     }
 
+    parseInterests(value = '') {
+        const interests = value
+            .split(',')
+            .map(tag => tag.trim().toLowerCase())
+            .filter(tag => tag.length > 0 && tag.length <= 24);
+
+        return [...new Set(interests)].slice(0, MAX_INTERESTS);
+    }
+
     validateInput() {
         if (!msgInput) return false;
         
@@ -1065,8 +2673,10 @@ class ChatApplication {
 
     // ========== UTILITIES ==========
 
-    cleanupConnection() {
-        this.cleanupWebRTC();
+    cleanupConnection({ keepPeer = false } = {}) {
+        if (!keepPeer) {
+            this.cleanupWebRTC();
+        }
 
         if (this.socket) {
             // Remove event listeners first
@@ -1085,6 +2695,7 @@ class ChatApplication {
 
         clearTimeout(this.iceFailTimer);
         clearTimeout(this.connectionTimeout);
+        clearTimeout(this.restartTimer);
     }
 
     cleanupWebRTC() {
@@ -1093,12 +2704,32 @@ class ChatApplication {
             this.dataChannel = null;
         }
 
+        this.stopTransfers('Transfer stopped');
+        if (this.fileChannel) {
+            this.fileChannel.close();
+            this.fileChannel = null;
+        }
+        this.updateAttachButton();
+
         if (this.peerConnection) {
             this.peerConnection.close();
             this.peerConnection = null;
         }
 
+        this.webrtcAttempt++;
+        clearTimeout(this.typingIdleTimer);
+        clearTimeout(this.typingHideTimer);
+        this.isTyping = false;
+        this.showTypingIndicator(false);
         clearTimeout(this.iceFailTimer);
+        clearTimeout(this.relayTimer);
+        this.relayTimer = null;
+        this.relayMode = false;
+        if (relayBadge) relayBadge.hidden = true;
+        this.peerEnvelopes = false;
+
+        // Our own stream stays up for the next partner
+        if (remoteVideo) remoteVideo.srcObject = null;
     }
 
     formatTime(timestamp) {
@@ -1180,6 +2811,8 @@ class ChatApplication {
             messagesSent: this.messages.filter(m => m.type === 'me').length,
             messagesReceived: this.messages.filter(m => m.type === 'them').length,
             uptime: this.getUptime(),
+            latencyMs: this.latency,
+            lastHeartbeat: this.lastHeartbeat ? new Date(this.lastHeartbeat).toISOString() : null,
             connectionQuality: this.assessConnectionQuality()
         };
     }
@@ -1205,9 +2838,27 @@ class ChatApplication {
 
     // ========== PERSISTENCE ==========
 
+    getDeviceId() {
+        // Random per-browser token so moderation survives reconnects
+        try {
+            let id = localStorage.getItem('anonChat_deviceId');
+            if (!id) {
+                id = crypto.randomUUID();
+                localStorage.setItem('anonChat_deviceId', id);
+            }
+            return id;
+        } catch (error) {
+            console.warn('Failed to access device id:', error);
+            return '';
+        }
+    }
+
     saveToLocalStorage() {
         try {
             localStorage.setItem('anonChat_username', this.myName);
+            localStorage.setItem('anonChat_interests', this.myInterests.join(', '));
+            localStorage.setItem('anonChat_allowRematch', String(this.allowRematch));
+            localStorage.setItem('anonChat_mode', this.getSelectedMode());
             localStorage.setItem('anonChat_lastSession', Date.now().toString());
         } catch (error) {
             console.warn('Failed to save to localStorage:', error);
@@ -1221,6 +2872,20 @@ class ChatApplication {
                 usernameInput.value = savedName;
                 this.validateUsername();
             }
+
+            const savedInterests = localStorage.getItem('anonChat_interests');
+            if (savedInterests && interestsInput) {
+                interestsInput.value = savedInterests;
+            }
+
+            if (allowRematchInput) {
+                allowRematchInput.checked = localStorage.getItem('anonChat_allowRematch') === 'true';
+            }
+
+            const savedMode = localStorage.getItem('anonChat_mode');
+            modeInputs.forEach(input => {
+                input.checked = input.value === (savedMode || 'text');
+            });
         } catch (error) {
             console.warn('Failed to load from localStorage:', error);
         }
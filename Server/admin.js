@@ -0,0 +1,121 @@
+/* ===============================
+   ADMIN API
+   Operator endpoints behind a bearer token.
+   Exposes session metadata only; message
+   content never passes through the server.
+================================ */
+
+const express = require("express");
+const { timingSafeEqual } = require("crypto");
+
+function createAdminRouter({ token, clients, matchmaker, moderation, kick }) {
+  const router = express.Router();
+
+  router.use(requireToken(token));
+
+  router.get("/sessions", (req, res) => {
+    const now = Date.now();
+    const sessions = [];
+
+    for (const client of clients.values()) {
+      sessions.push({
+        id: client.id,
+        name: client.name,
+        state: client.state,
+        durationMs: now - client.connectedAt,
+        partnerId: client.partner ? client.partner.id : null
+      });
+    }
+
+    res.json({ count: sessions.length, sessions });
+  });
+
+  router.get("/queue", async (req, res, next) => {
+    try {
+      res.json({ depth: await matchmaker.size() });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/sessions/:id/kick", (req, res) => {
+    const ws = findSocket(clients, req.params.id);
+    if (!ws) return res.status(404).json({ error: "Session not found" });
+
+    const reason = cleanReason(req.body && req.body.reason) || "Removed by moderator";
+    kick(ws, reason);
+    res.json({ kicked: req.params.id, reason });
+  });
+
+  router.get("/bans", (req, res) => {
+    res.json({ bans: moderation.listBans() });
+  });
+
+  // Ban a live session by id, or a previously listed hash key
+  router.post("/bans", (req, res) => {
+    const { sessionId, key, durationMs, reason } = req.body || {};
+    let identity = null;
+
+    if (sessionId) {
+      const client = clients.get(findSocket(clients, sessionId));
+      if (!client) return res.status(404).json({ error: "Session not found" });
+      identity = client;
+    } else if (typeof key === "string" && key) {
+      identity = { ipHash: key };
+    } else {
+      return res.status(400).json({ error: "sessionId or key is required" });
+    }
+
+    if (durationMs !== undefined && !(Number(durationMs) > 0)) {
+      return res.status(400).json({ error: "durationMs must be a positive number" });
+    }
+
+    const ban = moderation.ban(identity, {
+      reason: cleanReason(reason) || "moderator",
+      durationMs: durationMs && Number(durationMs)
+    });
+
+    const ws = sessionId && findSocket(clients, sessionId);
+    if (ws) kick(ws, "Banned by moderator");
+
+    res.status(201).json({ ban });
+  });
+
+  router.delete("/bans/:key", (req, res) => {
+    const keys = moderation.unban(req.params.key);
+    if (!keys.length) {
+      return res.status(404).json({ error: "Ban not found" });
+    }
+    res.json({ unbanned: keys });
+  });
+
+  return router;
+}
+
+function requireToken(token) {
+  const expected = Buffer.from(token);
+
+  return (req, res, next) => {
+    const header = req.headers.authorization || "";
+    const provided = Buffer.from(header.startsWith("Bearer ") ? header.slice(7) : "");
+
+    if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+      res.set("WWW-Authenticate", "Bearer");
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  };
+}
+
+function findSocket(clients, id) {
+  for (const [ws, client] of clients) {
+    if (client.id === id) return ws;
+  }
+  return null;
+}
+
+function cleanReason(reason) {
+  return typeof reason === "string" ? reason.trim().slice(0, 120) : "";
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,54 @@
+/* ===============================
+   MATCHMAKING BACKENDS
+   Where queue state lives and how events
+   reach connections on other instances.
+   Every backend implements:
+
+     instanceId                    unique per server process
+     start(onEvent)                begin receiving events for this instance
+     publish(instanceId, event)    deliver an event to an instance
+     addEntry(entry)               put a queue entry (keyed by entry.id)
+     removeEntry(id)               drop a queue entry
+     queueSize()                   number of queued entries
+     takePairs(pick)               atomically run pick(entries) -> pairs and
+                                   remove the paired entries; resolves null
+                                   if the queue is busy and should be retried
+     close()                       stop and clean up this instance's state
+
+   Only the queue and cross-instance events
+   are shared. Everything else is kept per
+   instance: reports and bans, UNIQUE_NAMES,
+   private and group rooms, and sessions
+   waiting to be resumed. Behind a load
+   balancer, a ban holds only on the
+   instance that issued it, and an invite
+   link or resume token only works if the
+   balancer routes to the same instance
+   (sticky sessions).
+================================ */
+
+const { createMemoryBackend, createMemoryStore } = require("./memory");
+const { createRedisBackend } = require("./redis");
+
+// MATCH_BACKEND=memory (default) or redis (with REDIS_URL, REDIS_PREFIX)
+function createBackendFromEnv(env = process.env, { log } = {}) {
+  const kind = env.MATCH_BACKEND || "memory";
+
+  if (kind === "memory") return createMemoryBackend();
+  if (kind === "redis") {
+    return createRedisBackend({
+      url: env.REDIS_URL,
+      prefix: env.REDIS_PREFIX,
+      log
+    });
+  }
+
+  throw new Error(`Unknown MATCH_BACKEND "${kind}" (expected memory or redis)`);
+}
+
+module.exports = {
+  createBackendFromEnv,
+  createMemoryBackend,
+  createMemoryStore,
+  createRedisBackend
+};
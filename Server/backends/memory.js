@@ -0,0 +1,78 @@
+/* ===============================
+   IN-MEMORY BACKEND
+   Default for single-instance deploys.
+   Several backends may share one store,
+   which lets tests run "instances" side
+   by side in a single process.
+================================ */
+
+const { randomUUID } = require("crypto");
+
+function createMemoryStore() {
+  return {
+    // id -> queue entry
+    entries: new Map(),
+    // instanceId -> event handler
+    instances: new Map()
+  };
+}
+
+function createMemoryBackend({ store = createMemoryStore(), instanceId = randomUUID() } = {}) {
+  async function start(onEvent) {
+    store.instances.set(instanceId, onEvent);
+  }
+
+  // Delivered on a later tick, like a message that crossed the network
+  async function publish(targetInstanceId, event) {
+    const handler = store.instances.get(targetInstanceId);
+    if (handler) setImmediate(() => handler(event));
+  }
+
+  async function addEntry(entry) {
+    store.entries.set(entry.id, entry);
+  }
+
+  async function removeEntry(id) {
+    store.entries.delete(id);
+  }
+
+  async function queueSize() {
+    return store.entries.size;
+  }
+
+  // Single-threaded, so the whole read-pick-remove step is already atomic
+  async function takePairs(pick) {
+    const live = [];
+    for (const entry of store.entries.values()) {
+      if (store.instances.has(entry.instanceId)) live.push(entry);
+      else store.entries.delete(entry.id);
+    }
+
+    const pairs = pick(live);
+    for (const [a, b] of pairs) {
+      store.entries.delete(a.id);
+      store.entries.delete(b.id);
+    }
+    return pairs;
+  }
+
+  async function close() {
+    store.instances.delete(instanceId);
+    for (const entry of store.entries.values()) {
+      if (entry.instanceId === instanceId) store.entries.delete(entry.id);
+    }
+  }
+
+  return {
+    instanceId,
+    start,
+    publish,
+    addEntry,
+    removeEntry,
+    queueSize,
+    takePairs,
+    close
+  };
+}
+
+module.exports = { createMemoryBackend, createMemoryStore };
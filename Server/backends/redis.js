@@ -0,0 +1,156 @@
+/* ===============================
+   REDIS BACKEND
+   Shares the queue between instances and
+   relays events over pub/sub. Keys:
+     <prefix>:queue            hash id -> entry JSON
+     <prefix>:lock             pairing lock
+     <prefix>:instance:<id>    liveness, expires unless refreshed
+     <prefix>:events:<id>      pub/sub channel per instance
+================================ */
+
+const Redis = require("ioredis");
+const { randomUUID } = require("crypto");
+const { createLogger } = require("../logger");
+
+const LOCK_TTL_MS = 5000;
+const INSTANCE_TTL_MS = 15000;
+const INSTANCE_REFRESH_MS = 5000;
+
+// Deletes the lock only while it still holds our token. GET then DEL
+// could remove a lock another instance took after ours expired.
+const RELEASE_LOCK = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+function createRedisBackend({
+  url = "redis://127.0.0.1:6379",
+  prefix = "anonchat",
+  instanceId = randomUUID(),
+  log = createLogger(),
+  // An unconnected ioredis-compatible client to use instead of `url`
+  client = null
+} = {}) {
+  const redis = client || new Redis(url, { lazyConnect: true });
+  const subscriber = redis.duplicate();
+
+  // ioredis reconnects on its own; without a listener it would also
+  // print every failed attempt
+  for (const connection of [redis, subscriber]) {
+    connection.on("error", (err) => log.warn("backend.redis_error", { err }));
+  }
+
+  const queueKey = `${prefix}:queue`;
+  const lockKey = `${prefix}:lock`;
+  const instanceKey = (id) => `${prefix}:instance:${id}`;
+  const channel = (id) => `${prefix}:events:${id}`;
+
+  let refresher = null;
+
+  async function start(onEvent) {
+    await Promise.all([redis.connect(), subscriber.connect()]);
+
+    subscriber.on("message", (ch, raw) => {
+      if (ch !== channel(instanceId)) return;
+      try {
+        onEvent(JSON.parse(raw));
+      } catch (err) {
+        log.error("backend.bad_event", { err });
+      }
+    });
+    await subscriber.subscribe(channel(instanceId));
+
+    await heartbeat();
+    refresher = setInterval(() => heartbeat().catch(() => {}), INSTANCE_REFRESH_MS);
+    refresher.unref();
+  }
+
+  // Entries whose instance stops refreshing this key are dropped
+  function heartbeat() {
+    return redis.set(instanceKey(instanceId), "1", "PX", INSTANCE_TTL_MS);
+  }
+
+  async function publish(targetInstanceId, event) {
+    await redis.publish(channel(targetInstanceId), JSON.stringify(event));
+  }
+
+  async function addEntry(entry) {
+    await redis.hset(queueKey, entry.id, JSON.stringify(entry));
+  }
+
+  async function removeEntry(id) {
+    await redis.hdel(queueKey, id);
+  }
+
+  function queueSize() {
+    return redis.hlen(queueKey);
+  }
+
+  // Holds the lock while reading, picking and removing so two instances
+  // can never hand out the same entry. Returns null when another
+  // instance is mid-pass; the caller simply retries.
+  async function takePairs(pick) {
+    const token = randomUUID();
+    const locked = await redis.set(lockKey, token, "PX", LOCK_TTL_MS, "NX");
+    if (!locked) return null;
+
+    try {
+      const raw = await redis.hgetall(queueKey);
+      const entries = Object.values(raw).map((value) => JSON.parse(value));
+
+      const live = await liveInstances(entries);
+      const stale = entries.filter((entry) => !live.has(entry.instanceId));
+      if (stale.length) await redis.hdel(queueKey, ...stale.map((entry) => entry.id));
+
+      const pairs = pick(entries.filter((entry) => live.has(entry.instanceId)));
+      const taken = pairs.flat().map((entry) => entry.id);
+      if (taken.length) await redis.hdel(queueKey, ...taken);
+
+      return pairs;
+    } finally {
+      await redis.eval(RELEASE_LOCK, 1, lockKey, token);
+    }
+  }
+
+  async function liveInstances(entries) {
+    const ids = [...new Set(entries.map((entry) => entry.instanceId))];
+    const live = new Set();
+
+    await Promise.all(
+      ids.map(async (id) => {
+        if (await redis.exists(instanceKey(id))) live.add(id);
+      })
+    );
+    return live;
+  }
+
+  async function close() {
+    clearInterval(refresher);
+
+    try {
+      const raw = await redis.hgetall(queueKey);
+      const own = Object.entries(raw)
+        .filter(([, value]) => JSON.parse(value).instanceId === instanceId)
+        .map(([id]) => id);
+      if (own.length) await redis.hdel(queueKey, ...own);
+      await redis.del(instanceKey(instanceId));
+    } finally {
+      subscriber.disconnect();
+      await redis.quit();
+    }
+  }
+
+  return {
+    instanceId,
+    start,
+    publish,
+    addEntry,
+    removeEntry,
+    queueSize,
+    takePairs,
+    close
+  };
+}
+
+module.exports = { createRedisBackend };
@@ -0,0 +1,66 @@
+/* ===============================
+   ICE SERVERS
+   STUN/TURN list handed to browsers.
+   TURN credentials use the shared-secret
+   ("TURN REST API") scheme that coturn
+   supports with --use-auth-secret:
+     username   = "<expiry unix secs>:<id>"
+     credential = base64(HMAC-SHA1(secret, username))
+   The TURN server recomputes the HMAC,
+   so nothing is stored on either side.
+================================ */
+
+const { createHmac, randomUUID } = require("crypto");
+
+const DEFAULT_STUN_URLS = [
+  "stun:stun.l.google.com:19302",
+  "stun:stun1.l.google.com:19302",
+  "stun:stun2.l.google.com:19302"
+];
+const DEFAULT_TTL_SEC = 3600;
+
+function createIceConfig({
+  stunUrls = DEFAULT_STUN_URLS,
+  turnUrls = [],
+  turnSecret,
+  ttlSec = DEFAULT_TTL_SEC,
+  // Clock in ms; injectable so credentials can be checked in tests
+  now = Date.now
+} = {}) {
+  const turnEnabled = Boolean(turnSecret && turnUrls.length);
+
+  // Fresh credentials per call; `id` only shows up in TURN server logs
+  function getIceServers(id = randomUUID()) {
+    const iceServers = [];
+    if (stunUrls.length) iceServers.push({ urls: stunUrls });
+
+    if (turnEnabled) {
+      const expiresAt = Math.floor(now() / 1000) + ttlSec;
+      const username = `${expiresAt}:${id}`;
+      const credential = createHmac("sha1", turnSecret).update(username).digest("base64");
+      iceServers.push({ urls: turnUrls, username, credential });
+    }
+
+    return { iceServers, ttl: ttlSec };
+  }
+
+  return { getIceServers, turnEnabled };
+}
+
+// STUN_URLS / TURN_URLS (comma separated), TURN_SECRET, TURN_TTL_SEC
+function createIceConfigFromEnv(env = process.env) {
+  const list = (value) =>
+    value
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean);
+
+  return createIceConfig({
+    stunUrls: env.STUN_URLS !== undefined ? list(env.STUN_URLS) : DEFAULT_STUN_URLS,
+    turnUrls: list(env.TURN_URLS || ""),
+    turnSecret: env.TURN_SECRET,
+    ttlSec: Number(env.TURN_TTL_SEC) || DEFAULT_TTL_SEC
+  });
+}
+
+module.exports = { createIceConfig, createIceConfigFromEnv, DEFAULT_STUN_URLS };
@@ -0,0 +1,86 @@
+/* ===============================
+   LOGGING
+   One JSON object per line, in the shape
+   Cloud Logging understands (severity,
+   message). Personal data never reaches
+   the output: names and IPs are replaced
+   by keyed hashes (the same hashes used
+   for ban keys, so the two can be matched
+   up) and secrets are dropped.
+================================ */
+
+const { createHmac, randomBytes } = require("crypto");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field name -> how it is redacted, at any depth
+const REDACT = {
+  ip: "hash",
+  name: "hash",
+  partnerName: "hash",
+  token: "drop",
+  resumeToken: "drop",
+  credential: "drop"
+};
+
+function createLogger({
+  level = "info",
+  hash = createHasher(randomBytes(32)),
+  fields = {},
+  write = (line) => process.stdout.write(line + "\n")
+} = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(", ")})`);
+  }
+  const threshold = LEVELS[level];
+
+  function emit(severity, message, extra) {
+    if (LEVELS[severity] < threshold) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      severity: severity.toUpperCase(),
+      message,
+      ...redact({ ...fields, ...extra }, hash)
+    };
+    write(JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    debug: (message, extra) => emit("debug", message, extra),
+    info: (message, extra) => emit("info", message, extra),
+    warn: (message, extra) => emit("warn", message, extra),
+    error: (message, extra) => emit("error", message, extra),
+    // Same output, with `extra` fields on every line
+    child: (extra) => createLogger({ level, hash, fields: { ...fields, ...extra }, write })
+  };
+}
+
+function createHasher(secret) {
+  return (value) => createHmac("sha256", secret).update(String(value)).digest("hex").slice(0, 32);
+}
+
+function redact(value, hash, depth = 0) {
+  if (value instanceof Error) {
+    return value.code ? { message: value.message, code: value.code } : { message: value.message };
+  }
+  if (!value || typeof value !== "object" || depth > 4) return value;
+  if (Array.isArray(value)) return value.map((item) => redact(item, hash, depth + 1));
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+
+    const rule = REDACT[key];
+    if (rule === "drop") continue;
+    if (rule === "hash") {
+      out[key] = item === null ? null : hash(item);
+      continue;
+    }
+    out[key] = redact(item, hash, depth + 1);
+  }
+  return out;
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,297 @@
+/* ===============================
+   MATCHMAKING
+   FIFO queue with atomic pairing.
+   The server only sees entries go in
+   and pairs come out; matching policy
+   lives entirely in this module and queue
+   storage lives in the backend, so pairs
+   can span server instances.
+================================ */
+
+const DEFAULT_MATCH_TIMEOUT_MS = 20000;
+const DEFAULT_FALLBACK_MS = 10000;
+const DEFAULT_SWEEP_MS = 5000;
+const LOCK_RETRY_MS = 50;
+
+const MAX_TAGS = 5;
+const MAX_TAG_LENGTH = 24;
+
+// Each mode is its own pool: text users never meet voice or video ones
+const MODES = ["text", "voice", "video"];
+
+// Entries are plain, serializable objects:
+// { id, instanceId, name, mode, tags, allowRematch, recent, joinedAt, ... }
+// `recent` maps partner ids to the time they may be paired again.
+function createMatchmaker(options = {}) {
+  const backend = options.backend;
+  const matchTimeoutMs = options.matchTimeoutMs || DEFAULT_MATCH_TIMEOUT_MS;
+  const fallbackMs = options.fallbackMs ?? DEFAULT_FALLBACK_MS;
+  const onMatch = options.onMatch || (() => {});
+  const onTimeout = options.onTimeout || (() => {});
+  const onError = options.onError || ((err) => console.error("[MATCHMAKER]", err.message));
+
+  // id -> timer for local peers that haven't confirmed their match yet
+  const watching = new Map();
+  let wakeTimer = null;
+  let draining = null;
+  let drainAgain = false;
+  let closed = false;
+
+  // Other instances add entries too; sweep now and then so nobody
+  // waits on a wake-up that was scheduled somewhere else.
+  const sweeper = setInterval(() => drain(), options.sweepMs || DEFAULT_SWEEP_MS);
+  sweeper.unref();
+
+  // Callers don't wait on these, so a failing backend (a Redis blip)
+  // is reported through onError instead of rejecting
+  async function enqueue(entry) {
+    try {
+      await backend.addEntry({
+        ...entry,
+        instanceId: backend.instanceId,
+        mode: MODES.includes(entry.mode) ? entry.mode : "text",
+        tags: normalizeTags(entry.tags),
+        allowRematch: entry.allowRematch === true,
+        recent: entry.recent || {},
+        joinedAt: entry.joinedAt || Date.now()
+      });
+    } catch (err) {
+      onError(err);
+      return;
+    }
+    return drain();
+  }
+
+  async function remove(id) {
+    forget(id);
+    try {
+      await backend.removeEntry(id);
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  function size() {
+    return backend.queueSize();
+  }
+
+  // Runs one pairing pass. Overlapping calls collapse into one
+  // extra pass so a burst of joins doesn't queue up a pass each.
+  function drain() {
+    if (closed) return Promise.resolve();
+    if (draining) {
+      drainAgain = true;
+      return draining;
+    }
+
+    draining = (async () => {
+      do {
+        drainAgain = false;
+        await drainOnce();
+      } while (drainAgain && !closed);
+    })()
+      .catch(onError)
+      .finally(() => {
+        draining = null;
+      });
+
+    return draining;
+  }
+
+  async function drainOnce() {
+    const now = Date.now();
+    let wakeAt = Infinity;
+
+    const pairs = await backend.takePairs((entries) => {
+      const result = findPairs(entries, now, fallbackMs);
+      wakeAt = result.wakeAt;
+      return result.pairs;
+    });
+
+    // Another instance holds the queue lock; try again shortly
+    if (pairs === null) {
+      schedule(now + LOCK_RETRY_MS);
+      return;
+    }
+
+    for (const [a, b] of pairs) {
+      onMatch(a, b, {
+        sharedTags: sharedTags(a, b),
+        waitedMs: [now - a.joinedAt, now - b.joinedAt]
+      });
+    }
+
+    schedule(wakeAt);
+  }
+
+  function schedule(at) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+    if (at !== Infinity && !closed) {
+      wakeTimer = setTimeout(drain, Math.max(0, at - Date.now()));
+    }
+  }
+
+  // A matched local peer must confirm within the timeout or the
+  // server is told to break the pair up and requeue both sides.
+  function watch(id) {
+    forget(id);
+    watching.set(
+      id,
+      setTimeout(() => {
+        watching.delete(id);
+        onTimeout(id);
+      }, matchTimeoutMs)
+    );
+  }
+
+  // Called once a peer reports its data channel is open.
+  function confirm(id) {
+    forget(id);
+  }
+
+  function forget(id) {
+    clearTimeout(watching.get(id));
+    watching.delete(id);
+  }
+
+  function close() {
+    closed = true;
+    clearInterval(sweeper);
+    clearTimeout(wakeTimer);
+    for (const timer of watching.values()) clearTimeout(timer);
+    watching.clear();
+  }
+
+  return { enqueue, remove, size, drain, watch, confirm, forget, close };
+}
+
+/* ===============================
+   POLICY
+================================ */
+
+// Pairs up `entries` and reports when the queue should next be looked
+// at. Each mode's pool is matched on its own.
+function findPairs(entries, now, fallbackMs) {
+  const pools = new Map();
+  for (const entry of entries) {
+    const mode = entry.mode || "text";
+    if (!pools.has(mode)) pools.set(mode, []);
+    pools.get(mode).push(entry);
+  }
+
+  const pairs = [];
+  let wakeAt = Infinity;
+  for (const pool of pools.values()) {
+    const result = findPairsInPool(pool, now, fallbackMs);
+    pairs.push(...result.pairs);
+    wakeAt = Math.min(wakeAt, result.wakeAt);
+  }
+  return { pairs, wakeAt };
+}
+
+// For each entry, oldest first: the oldest later entry sharing a tag
+// wins; otherwise the oldest one that, like it, is willing to take
+// anyone. Recent partners are skipped unless they are the only two
+// people waiting and both asked to be allowed to meet again.
+function findPairsInPool(entries, now, fallbackMs) {
+  const queue = [...entries].sort((a, b) => a.joinedAt - b.joinedAt);
+  const lastTwo = queue.length === 2;
+  const pairs = [];
+  let wakeAt = Infinity;
+
+  const acceptsAnyone = (entry) =>
+    !entry.tags.length || now - entry.joinedAt >= fallbackMs;
+
+  let i = 0;
+  while (i < queue.length) {
+    const entry = queue[i];
+    let match = -1;
+    let fallback = -1;
+
+    for (let j = i + 1; j < queue.length; j++) {
+      const other = queue[j];
+
+      const until = recentUntil(entry, other, now);
+      if (until && !(lastTwo && entry.allowRematch && other.allowRematch)) {
+        wakeAt = Math.min(wakeAt, until);
+        continue;
+      }
+
+      if (sharedTags(entry, other).length) {
+        match = j;
+        break;
+      }
+
+      if (fallback === -1 && acceptsAnyone(entry) && acceptsAnyone(other)) {
+        fallback = j;
+      }
+    }
+
+    if (match === -1) match = fallback;
+    if (match === -1) {
+      // Tagged users wait for a shared interest first; look again
+      // once they become eligible for anyone.
+      if (entry.tags.length && !acceptsAnyone(entry)) {
+        wakeAt = Math.min(wakeAt, entry.joinedAt + fallbackMs);
+      }
+      i++;
+      continue;
+    }
+
+    // Both entries leave the queue together, so a concurrent
+    // join can never see a half-made pair.
+    const [other] = queue.splice(match, 1);
+    queue.splice(i, 1);
+    pairs.push([entry, other]);
+  }
+
+  return { pairs, wakeAt };
+}
+
+// When `a` and `b` may meet again, or 0 if they already can
+function recentUntil(a, b, now) {
+  const until = Math.max(
+    (a.recent && a.recent[b.id]) || 0,
+    (b.recent && b.recent[a.id]) || 0
+  );
+  return until > now ? until : 0;
+}
+
+/* ===============================
+   TAGS
+================================ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const seen = new Set();
+  for (const tag of tags) {
+    if (typeof tag !== "string") continue;
+
+    const clean = tag
+      .normalize("NFKC")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .slice(0, MAX_TAG_LENGTH);
+
+    if (clean && /^[\p{L}\p{N} _-]+$/u.test(clean)) seen.add(clean);
+    if (seen.size === MAX_TAGS) break;
+  }
+
+  return [...seen];
+}
+
+function sharedTags(a, b) {
+  return a.tags.filter((tag) => b.tags.includes(tag));
+}
+
+module.exports = {
+  createMatchmaker,
+  findPairs,
+  normalizeTags,
+  MODES,
+  DEFAULT_MATCH_TIMEOUT_MS,
+  DEFAULT_FALLBACK_MS,
+  MAX_TAGS
+};
@@ -0,0 +1,104 @@
+/* ===============================
+   METRICS
+   Prometheus instruments on a private
+   registry, so several servers can live
+   in one process without clashing.
+================================ */
+
+const promClient = require("prom-client");
+
+function createMetrics({ getSocketCount, getStateCounts, getQueueLength }) {
+  const registry = new promClient.Registry();
+
+  // Process memory, CPU, event loop lag, GC...
+  promClient.collectDefaultMetrics({ register: registry });
+
+  new promClient.Gauge({
+    name: "anonchat_connected_sockets",
+    help: "Open WebSocket connections",
+    registers: [registry],
+    collect() {
+      this.set(getSocketCount());
+    }
+  });
+
+  new promClient.Gauge({
+    name: "anonchat_users",
+    help: "Connected users by matchmaking state",
+    labelNames: ["state"],
+    registers: [registry],
+    collect() {
+      for (const [state, count] of Object.entries(getStateCounts())) {
+        this.set({ state }, count);
+      }
+    }
+  });
+
+  new promClient.Gauge({
+    name: "anonchat_queue_length",
+    help: "Users waiting in the matchmaking queue",
+    registers: [registry],
+    // Async so a shared (Redis) queue can be counted
+    async collect() {
+      this.set(await getQueueLength());
+    }
+  });
+
+  const matches = new promClient.Counter({
+    name: "anonchat_matches_total",
+    help: "Pairs created by the matchmaker",
+    registers: [registry]
+  });
+
+  const timeToMatch = new promClient.Histogram({
+    name: "anonchat_time_to_match_seconds",
+    help: "Time a user spent in the queue before being matched",
+    buckets: [0.1, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+    registers: [registry]
+  });
+
+  const signalsRelayed = new promClient.Counter({
+    name: "anonchat_signals_relayed_total",
+    help: "WebRTC signaling messages forwarded between partners",
+    registers: [registry]
+  });
+
+  const chatRelayed = new promClient.Counter({
+    name: "anonchat_chat_relayed_total",
+    help: "Chat messages relayed through the server when WebRTC failed",
+    registers: [registry]
+  });
+
+  const groupMessages = new promClient.Counter({
+    name: "anonchat_group_messages_total",
+    help: "Messages sent in group rooms (each counted once, not per recipient)",
+    registers: [registry]
+  });
+
+  const partnerLeft = new promClient.Counter({
+    name: "anonchat_partner_left_total",
+    help: "partner-left notifications sent",
+    labelNames: ["reason"],
+    registers: [registry]
+  });
+
+  const errors = new promClient.Counter({
+    name: "anonchat_errors_total",
+    help: "Errors by code, including those reported to clients",
+    labelNames: ["code"],
+    registers: [registry]
+  });
+
+  return {
+    registry,
+    matches,
+    timeToMatch,
+    signalsRelayed,
+    chatRelayed,
+    groupMessages,
+    partnerLeft,
+    errors
+  };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,132 @@
+/* ===============================
+   MODERATION
+   Reports and temporary bans. Users are
+   identified only by keyed hashes of their
+   IP and device token, never the raw values.
+================================ */
+
+const { createHmac, randomBytes } = require("crypto");
+
+const REPORT_REASONS = ["spam", "harassment", "inappropriate", "underage", "other"];
+
+const DEFAULT_REPORT_THRESHOLD = 3;
+const DEFAULT_REPORT_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_BAN_DURATIONS_MS = [
+  10 * 60 * 1000,
+  60 * 60 * 1000,
+  24 * 60 * 60 * 1000
+];
+
+function createModeration(options = {}) {
+  // Without a configured secret hashes only live as long as the process
+  const secret = options.secret || randomBytes(32).toString("hex");
+  const threshold = options.reportThreshold || DEFAULT_REPORT_THRESHOLD;
+  const windowMs = options.reportWindowMs || DEFAULT_REPORT_WINDOW_MS;
+  const durations = options.banDurationsMs || DEFAULT_BAN_DURATIONS_MS;
+
+  // key -> [{ reporter, reason, at }]
+  const reports = new Map();
+  // key -> { until, reason, createdAt }
+  const bans = new Map();
+  // key -> number of bans so far, drives escalation
+  const offences = new Map();
+
+  function hash(value) {
+    if (!value) return null;
+    return createHmac("sha256", secret).update(String(value)).digest("hex").slice(0, 32);
+  }
+
+  function keysOf(identity) {
+    return [identity.ipHash, identity.deviceHash].filter(Boolean);
+  }
+
+  // Records one report. Each reporter counts once per target per window,
+  // so a single person can't ban someone by reporting them repeatedly.
+  // Returns the ban when this report pushed the target over the threshold.
+  function report({ reporter, target, reason }) {
+    const now = Date.now();
+    const reporterKey = keysOf(reporter)[0];
+    let trigger = null;
+
+    for (const key of keysOf(target)) {
+      const recent = (reports.get(key) || []).filter((r) => now - r.at < windowMs);
+      if (!recent.some((r) => r.reporter === reporterKey)) {
+        recent.push({ reporter: reporterKey, reason, at: now });
+      }
+      reports.set(key, recent);
+
+      if (recent.length >= threshold) trigger = recent;
+    }
+
+    return trigger ? ban(target, { reason: mostCommonReason(trigger) }) : null;
+  }
+
+  // Bans every key of `identity`, escalating with each repeat offence
+  // unless an explicit duration is given.
+  function ban(identity, { reason = "reports", durationMs } = {}) {
+    const now = Date.now();
+    const keys = keysOf(identity);
+    const count = Math.max(0, ...keys.map((key) => offences.get(key) || 0));
+    const duration = durationMs || durations[Math.min(count, durations.length - 1)];
+    const record = { until: now + duration, reason, createdAt: now };
+
+    for (const key of keys) {
+      bans.set(key, record);
+      offences.set(key, count + 1);
+      reports.delete(key);
+    }
+
+    return record;
+  }
+
+  // A ban covers the IP and device hashes together, so lifting it
+  // through either key lifts it everywhere. Returns the keys removed.
+  function unban(key) {
+    const record = bans.get(key);
+    if (!record) return [];
+
+    const keys = [];
+    for (const [other, value] of bans) {
+      if (value === record) keys.push(other);
+    }
+    for (const other of keys) bans.delete(other);
+    return keys;
+  }
+
+  function isBanned(identity) {
+    const now = Date.now();
+    for (const key of keysOf(identity)) {
+      const record = bans.get(key);
+      if (!record) continue;
+      if (record.until > now) return record;
+      bans.delete(key);
+    }
+    return null;
+  }
+
+  function listBans() {
+    const now = Date.now();
+    const list = [];
+    for (const [key, record] of bans) {
+      if (record.until <= now) bans.delete(key);
+      else list.push({ key, ...record });
+    }
+    return list;
+  }
+
+  return { hash, report, ban, unban, isBanned, listBans };
+}
+
+function mostCommonReason(reports) {
+  const counts = {};
+  for (const { reason } of reports) counts[reason] = (counts[reason] || 0) + 1;
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+}
+
+module.exports = {
+  createModeration,
+  REPORT_REASONS,
+  DEFAULT_REPORT_THRESHOLD,
+  DEFAULT_REPORT_WINDOW_MS,
+  DEFAULT_BAN_DURATIONS_MS
+};
@@ -0,0 +1,148 @@
+/* ===============================
+   DISPLAY NAMES
+   Authoritative name rules. The client
+   runs a looser check for quick feedback
+   only; whatever arrives here is untrusted.
+================================ */
+
+const MIN_LENGTH = 2;
+const MAX_LENGTH = 20;
+
+// Letters and digits from any script, plus space, dash and underscore
+const ALLOWED_CHARS = /^[\p{L}\p{N} _-]+$/u;
+
+// Names that could be mistaken for the service or for UI labels
+const RESERVED = [
+  "admin",
+  "administrator",
+  "anonchat",
+  "anonymous",
+  "moderator",
+  "mod",
+  "null",
+  "server",
+  "staff",
+  "stranger",
+  "support",
+  "system",
+  "undefined",
+  "you"
+];
+
+// Long enough not to turn up inside ordinary names, so matched anywhere
+// in the name, spaces and separators removed
+const PROFANITY = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "fuck",
+  "nigga",
+  "nigger",
+  "pussy",
+  "vagina",
+  "whore"
+];
+
+// Short stems that hide inside real names ("Harshit", "Nazia",
+// "Scunthorpe", "Penistone"): only matched as a whole word, alone or
+// with one of STEM_SUFFIXES ("shitty", "sluts")
+const PROFANITY_STEMS = [
+  "ass",
+  "cock",
+  "cunt",
+  "dick",
+  "fag",
+  "nazi",
+  "penis",
+  "porn",
+  "rape",
+  "retard",
+  "shit",
+  "slut",
+  "tits"
+];
+const STEM_SUFFIXES = ["", "s", "es", "y", "ty", "ed", "er", "ers", "ing", "o", "head", "hole", "face"];
+
+// Extra blocked words at least this long are matched anywhere
+const SUBSTRING_MIN_LENGTH = 6;
+
+// Words that would otherwise trip the checks above
+const ALLOWED_WORDS = ["cockburn", "dickens", "hancock", "scunthorpe", "penistone", "shiitake", "shitake"];
+
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", 9: "g" };
+
+function createNamePolicy({ extraBlocked = [], extraAllowed = [] } = {}) {
+  const extra = extraBlocked.map(skeleton).filter(Boolean);
+  const substrings = [...PROFANITY, ...extra.filter((word) => word.length >= SUBSTRING_MIN_LENGTH)];
+  const stems = [...PROFANITY_STEMS, ...extra.filter((word) => word.length < SUBSTRING_MIN_LENGTH)];
+  const allowed = new Set([...ALLOWED_WORDS, ...extraAllowed.map(skeleton)]);
+
+  const isStem = (word) =>
+    stems.some((stem) => word.startsWith(stem) && STEM_SUFFIXES.includes(word.slice(stem.length)));
+
+  function validate(raw) {
+    if (typeof raw !== "string") {
+      return reject("invalid_name", "Please enter a display name.");
+    }
+
+    const name = raw.normalize("NFKC").trim().replace(/\s+/g, " ");
+
+    if (name.length < MIN_LENGTH || name.length > MAX_LENGTH) {
+      return reject(
+        "invalid_name",
+        `Names must be ${MIN_LENGTH}-${MAX_LENGTH} characters long.`
+      );
+    }
+
+    if (!ALLOWED_CHARS.test(name)) {
+      return reject(
+        "invalid_name",
+        "Names may only contain letters, numbers, spaces, - and _."
+      );
+    }
+
+    // "Admin 1", "mod_2": a reserved word with a number or separator tacked on
+    const base = skeleton(name.replace(/[\s_\-0-9]+$/, ""));
+    const tokens = name.toLowerCase().split(/[ _-]+/).map(skeleton).filter(Boolean);
+    const joined = tokens.join("");
+
+    if (RESERVED.includes(joined) || RESERVED.includes(base)) {
+      return reject("invalid_name", "That name is reserved.");
+    }
+
+    // The joined form catches words spelled out across separators ("s h i t")
+    const words = tokens.filter((token) => !allowed.has(token));
+    const spelled = words.join("");
+    const offensive =
+      substrings.some((word) => spelled.includes(word)) ||
+      [...words, spelled].some(isStem);
+    if (offensive) {
+      return reject("invalid_name", "Please choose a different name.");
+    }
+
+    return { ok: true, name };
+  }
+
+  return { validate };
+}
+
+// Lowercase, undo common digit substitutions and drop everything
+// that isn't a letter so "F_u_C_k" and "fuck" compare equal.
+function skeleton(value) {
+  return value
+    .normalize("NFKD")
+    .toLowerCase()
+    .replace(/[0-9]/g, (d) => LEET[d] || d)
+    .replace(/[^\p{L}]/gu, "");
+}
+
+// Case- and width-insensitive key used for uniqueness checks
+function nameKey(name) {
+  return name.normalize("NFKC").toLowerCase();
+}
+
+function reject(code, message) {
+  return { ok: false, code, message };
+}
+
+module.exports = { createNamePolicy, nameKey, MIN_LENGTH, MAX_LENGTH };
@@ -0,0 +1,85 @@
+/* ===============================
+   ORIGIN ALLOWLIST
+   Shared by CORS and the WebSocket
+   handshake. Patterns may use `*`:
+     https://*.example.com     any one subdomain label
+     https://app--*.web.app    preview-channel style names
+     http://localhost:*        any port
+================================ */
+
+const fs = require("fs");
+
+const LOCALHOST_PATTERNS = [
+  "http://localhost:*",
+  "http://127.0.0.1:*",
+  "http://[::1]:*"
+];
+
+// Reads ALLOWED_ORIGINS (comma separated) and/or ORIGINS_FILE (a JSON
+// array, or { "origins": [...] }). DEV_MODE=true adds localhost on any
+// port. Throws when nothing is allowed, so a misconfigured deploy
+// fails at startup instead of silently rejecting every browser.
+function loadOriginConfig(env = process.env) {
+  const patterns = [];
+
+  if (env.ALLOWED_ORIGINS) {
+    patterns.push(...env.ALLOWED_ORIGINS.split(","));
+  }
+
+  if (env.ORIGINS_FILE) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(env.ORIGINS_FILE, "utf8"));
+    } catch (err) {
+      throw new Error(`Could not read ORIGINS_FILE ${env.ORIGINS_FILE}: ${err.message}`);
+    }
+
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.origins;
+    if (!Array.isArray(list)) {
+      throw new Error(`ORIGINS_FILE ${env.ORIGINS_FILE} must contain an array of origins`);
+    }
+    patterns.push(...list);
+  }
+
+  const devMode = env.DEV_MODE === "true";
+  const cleaned = patterns.map((p) => String(p).trim()).filter(Boolean);
+  if (devMode) cleaned.push(...LOCALHOST_PATTERNS);
+
+  if (!cleaned.length) {
+    throw new Error(
+      "No allowed origins configured. Set ALLOWED_ORIGINS or ORIGINS_FILE, " +
+        "or DEV_MODE=true for local development."
+    );
+  }
+
+  return { patterns: cleaned, devMode };
+}
+
+function createOriginMatcher(patterns) {
+  const matchers = patterns.map(compilePattern);
+
+  return function isAllowedOrigin(origin) {
+    if (typeof origin !== "string") return false;
+    const normalized = origin.trim().toLowerCase().replace(/\/+$/, "");
+    return matchers.some((regex) => regex.test(normalized));
+  };
+}
+
+function compilePattern(pattern) {
+  const normalized = pattern.toLowerCase().replace(/\/+$/, "");
+
+  if (!/^https?:\/\/[^/]+$/.test(normalized)) {
+    throw new Error(`Invalid origin pattern "${pattern}": expected scheme://host[:port]`);
+  }
+
+  let source = normalized.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+
+  // A trailing ":*" means any port, including none
+  source = source.replace(/:\*$/, "(?::\\d{1,5})?");
+  // Any other "*" stays inside a single hostname label
+  source = source.replace(/\*/g, "[a-z0-9-]+");
+
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = { loadOriginConfig, createOriginMatcher, LOCALHOST_PATTERNS };
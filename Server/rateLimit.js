@@ -0,0 +1,85 @@
+/* ===============================
+   RATE LIMITING
+   Token buckets: each bucket holds up to
+   `capacity` tokens and refills at
+   `refillPerSec`. An action costs one token.
+================================ */
+
+function createTokenBucket({ capacity, refillPerSec }) {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * refillPerSec);
+    updatedAt = now;
+  }
+
+  function take(cost = 1) {
+    refill();
+    if (tokens < cost) return false;
+    tokens -= cost;
+    return true;
+  }
+
+  // True once the bucket has refilled completely and can be dropped.
+  function idle() {
+    refill();
+    return tokens >= capacity;
+  }
+
+  return { take, idle };
+}
+
+// One bucket per key (e.g. per IP). Full buckets are swept so
+// the map doesn't grow with every address ever seen.
+function createRateLimiter({ capacity, refillPerSec, sweepMs = 60000 }) {
+  const buckets = new Map();
+
+  const sweeper = setInterval(() => {
+    for (const [key, bucket] of buckets) {
+      if (bucket.idle()) buckets.delete(key);
+    }
+  }, sweepMs);
+  sweeper.unref();
+
+  function take(key, cost = 1) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = createTokenBucket({ capacity, refillPerSec });
+      buckets.set(key, bucket);
+    }
+    return bucket.take(cost);
+  }
+
+  function close() {
+    clearInterval(sweeper);
+    buckets.clear();
+  }
+
+  return { take, close };
+}
+
+// Applies overrides from a JSON string such as
+// '{"connection":{"capacity":50}}' on top of `defaults`. Unknown buckets
+// and non-positive numbers throw, so a typo can't silently lift a limit.
+function applyRateLimitOverrides(defaults, json) {
+  if (!json) return defaults;
+
+  const overrides = JSON.parse(json);
+  const limits = { ...defaults };
+
+  for (const [name, override] of Object.entries(overrides)) {
+    if (!limits[name]) throw new Error(`Unknown rate limit "${name}"`);
+
+    for (const [field, value] of Object.entries(override)) {
+      if (!(field in limits[name]) || !(Number(value) > 0)) {
+        throw new Error(`Invalid rate limit ${name}.${field}: ${value}`);
+      }
+    }
+    limits[name] = { ...limits[name], ...override };
+  }
+  return limits;
+}
+
+module.exports = { createTokenBucket, createRateLimiter, applyRateLimitOverrides };
@@ -0,0 +1,88 @@
+/* ===============================
+   ROOMS
+   A room is an invite code one user
+   creates and shares; whoever opens it
+   joins them directly, skipping the
+   queue. Private rooms hold two people
+   and expire after `ttlMs` if nobody
+   joins; group rooms hold `capacity`
+   and last while anyone is in them.
+================================ */
+
+const { randomBytes } = require("crypto");
+
+// 48 random bits: unguessable given the join rate limits
+const CODE_BYTES = 6;
+
+// Without `ttlMs` a room never expires, it only empties
+function createRoomRegistry({ ttlMs = 0, capacity = 2, onExpire = () => {} }) {
+  // code -> { code, members: [connection id], expiresAt, timer }
+  const rooms = new Map();
+
+  function create(memberId) {
+    let code;
+    do {
+      code = randomBytes(CODE_BYTES).toString("base64url");
+    } while (rooms.has(code));
+
+    const room = { code, members: [memberId], expiresAt: null, timer: null };
+    if (ttlMs) {
+      room.expiresAt = Date.now() + ttlMs;
+      room.timer = setTimeout(() => {
+        rooms.delete(code);
+        onExpire(room);
+      }, ttlMs);
+    }
+    rooms.set(code, room);
+    return room;
+  }
+
+  // Returns { ok: true, room } or { ok: false, code, message }
+  function join(code, memberId) {
+    const room = rooms.get(code);
+    if (!room) {
+      return { ok: false, code: "room_expired", message: "That room has expired or no longer exists." };
+    }
+    if (room.members.length >= capacity) {
+      return { ok: false, code: "room_full", message: `That room is full (${capacity} people).` };
+    }
+
+    room.members.push(memberId);
+    // A full room lives as long as its chat does
+    if (room.members.length >= capacity) clearTimeout(room.timer);
+    return { ok: true, room };
+  }
+
+  function get(code) {
+    return rooms.get(code) || null;
+  }
+
+  // Returns the room, or null once its last member has gone
+  function leave(code, memberId) {
+    const room = rooms.get(code);
+    if (!room) return null;
+
+    room.members = room.members.filter((id) => id !== memberId);
+    if (room.members.length) return room;
+
+    remove(code);
+    return null;
+  }
+
+  function remove(code) {
+    const room = rooms.get(code);
+    if (!room) return;
+
+    clearTimeout(room.timer);
+    rooms.delete(code);
+  }
+
+  function close() {
+    for (const room of rooms.values()) clearTimeout(room.timer);
+    rooms.clear();
+  }
+
+  return { create, join, get, leave, remove, close, size: () => rooms.size };
+}
+
+module.exports = { createRoomRegistry };
@@ -0,0 +1,175 @@
+/* ===============================
+   MESSAGE SCHEMA
+   Every inbound WebSocket message is parsed
+   here. Only listed types and fields survive;
+   anything else is rejected, never forwarded.
+================================ */
+
+const MAX_SDP_LENGTH = 16 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+
+class InvalidMessage extends Error {}
+
+/* ---------- field validators ---------- */
+function string(maxLength) {
+  return (value, path) => {
+    if (typeof value !== "string") fail(`${path} must be a string`);
+    if (value.length > maxLength) fail(`${path} is too long`);
+    return value;
+  };
+}
+
+function number(value, path) {
+  if (typeof value !== "number" || !Number.isFinite(value)) fail(`${path} must be a number`);
+  return value;
+}
+
+function integer(min, max) {
+  return (value, path) => {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      fail(`${path} must be an integer between ${min} and ${max}`);
+    }
+    return value;
+  };
+}
+
+function boolean(value, path) {
+  if (typeof value !== "boolean") fail(`${path} must be a boolean`);
+  return value;
+}
+
+function oneOf(...allowed) {
+  return (value, path) => {
+    if (!allowed.includes(value)) fail(`${path} must be one of ${allowed.join(", ")}`);
+    return value;
+  };
+}
+
+function arrayOf(item, maxItems) {
+  return (value, path) => {
+    if (!Array.isArray(value)) fail(`${path} must be an array`);
+    if (value.length > maxItems) fail(`${path} has too many items`);
+    return value.map((entry, i) => item(entry, `${path}[${i}]`));
+  };
+}
+
+function optional(validator) {
+  const check = (value, path) => (value === undefined ? undefined : validator(value, path));
+  check.optional = true;
+  return check;
+}
+
+function nullable(validator) {
+  return (value, path) => (value === null ? null : validator(value, path));
+}
+
+// Copies only the declared fields, so unknown keys never pass through
+function object(shape) {
+  return (value, path) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      fail(`${path} must be an object`);
+    }
+
+    const out = {};
+    for (const [key, validator] of Object.entries(shape)) {
+      if (value[key] === undefined && !validator.optional) fail(`${path}.${key} is required`);
+      const parsed = validator(value[key], `${path}.${key}`);
+      if (parsed !== undefined) out[key] = parsed;
+    }
+    return out;
+  };
+}
+
+function fail(message) {
+  throw new InvalidMessage(message);
+}
+
+/* ---------- WebRTC signaling ---------- */
+const sessionDescription = object({
+  type: oneOf("offer", "answer"),
+  sdp: string(MAX_SDP_LENGTH)
+});
+
+const iceCandidate = object({
+  type: oneOf("candidate"),
+  candidate: object({
+    candidate: string(MAX_CANDIDATE_LENGTH),
+    sdpMid: optional(nullable(string(64))),
+    sdpMLineIndex: optional(nullable(integer(0, 64))),
+    usernameFragment: optional(nullable(string(256)))
+  })
+});
+
+function signal(value, path) {
+  if (value && value.type === "candidate") return iceCandidate(value, path);
+  return sessionDescription(value, path);
+}
+
+/* ---------- inbound messages ---------- */
+const MESSAGES = {
+  join: object({
+    name: optional(string(64)),
+    mode: optional(oneOf("text", "voice", "video")),
+    tags: optional(arrayOf(string(64), 10)),
+    allowRematch: optional(boolean),
+    deviceId: optional(string(64)),
+    timestamp: optional(number)
+  }),
+  "create-room": object({
+    name: optional(string(64)),
+    deviceId: optional(string(64))
+  }),
+  "cancel-room": object({}),
+  "join-room": object({
+    code: string(32),
+    name: optional(string(64)),
+    deviceId: optional(string(64))
+  }),
+  "create-group": object({
+    name: optional(string(64)),
+    deviceId: optional(string(64))
+  }),
+  "join-group": object({
+    code: string(32),
+    name: optional(string(64)),
+    deviceId: optional(string(64))
+  }),
+  // `id` only comes back in a rate_limit error, to say which message failed
+  "group-message": object({ text: string(1000), id: optional(string(64)) }),
+  signal: object({ signal }),
+  connected: object({}),
+  report: object({ reason: string(32) }),
+  "relay-request": object({}),
+  relay: object({ text: string(1000), id: optional(string(64)) }),
+  typing: object({ typing: boolean }),
+  ping: object({ ts: optional(number) }),
+  pong: object({ ts: optional(number) }),
+  pause: object({}),
+  resume: object({}),
+  "resume-session": object({ token: string(64) })
+};
+
+// Returns { ok: true, message } with a sanitized copy, or { ok: false, error }
+function parseMessage(raw, isBinary = false) {
+  try {
+    if (isBinary) fail("Binary frames are not supported");
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      fail("Message is not valid JSON");
+    }
+
+    if (!data || typeof data !== "object" || !Object.hasOwn(MESSAGES, data.type)) {
+      fail("Unknown message type");
+    }
+
+    return { ok: true, message: { type: data.type, ...MESSAGES[data.type](data, data.type) } };
+  } catch (err) {
+    if (err instanceof InvalidMessage) return { ok: false, error: err.message };
+    throw err;
+  }
+}
+
+module.exports = { parseMessage, MAX_SDP_LENGTH, MAX_CANDIDATE_LENGTH };
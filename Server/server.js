@@ -4,20 +4,120 @@ const path = require("path");
 const cors = require("cors");
 const helmet = require("helmet");
 const { WebSocket, WebSocketServer } = require("ws");
-const { randomUUID } = require("crypto");
-
-const app = express();
-const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const { randomUUID, randomBytes } = require("crypto");
+const { createMatchmaker, normalizeTags, MODES } = require("./matchmaking");
+const { createTokenBucket, createRateLimiter, applyRateLimitOverrides } = require("./rateLimit");
+const { createNamePolicy, nameKey } = require("./names");
+const { createModeration, REPORT_REASONS } = require("./moderation");
+const { createAdminRouter } = require("./admin");
+const { createMetrics } = require("./metrics");
+const { parseMessage } = require("./schema");
+const { loadOriginConfig, createOriginMatcher } = require("./origins");
+const { createBackendFromEnv } = require("./backends");
+const { createIceConfigFromEnv } = require("./ice");
+const { createLogger } = require("./logger");
+const { createRoomRegistry } = require("./rooms");
 
 /* ===============================
    CONFIG
 ================================ */
 const PORT = process.env.PORT || 8080;
+// Largest WebSocket frame accepted; ws closes the socket beyond this
+const MAX_PAYLOAD_BYTES = Number(process.env.MAX_PAYLOAD_BYTES) || 64 * 1024;
+const MATCH_TIMEOUT_MS = Number(process.env.MATCH_TIMEOUT_MS) || 20000;
+const MATCH_FALLBACK_MS = Number(process.env.MATCH_FALLBACK_MS) || 10000;
+const RECENT_PARTNER_WINDOW_MS =
+  Number(process.env.RECENT_PARTNER_WINDOW_MS) || 60000;
+
+// Reject names already used by someone online (case-insensitive); checks
+// this instance only
+const UNIQUE_NAMES = process.env.UNIQUE_NAMES === "true";
+// Comma-separated additions to the built-in profanity list
+const BLOCKED_NAME_WORDS = (process.env.BLOCKED_NAME_WORDS || "")
+  .split(",")
+  .map((word) => word.trim())
+  .filter(Boolean);
+// Comma-separated words that should never be blocked (place names etc.)
+const ALLOWED_NAME_WORDS = (process.env.ALLOWED_NAME_WORDS || "")
+  .split(",")
+  .map((word) => word.trim())
+  .filter(Boolean);
+
+// Distinct reporters within the window before a temporary ban
+const REPORT_THRESHOLD = Number(process.env.REPORT_THRESHOLD) || 3;
+const REPORT_WINDOW_MS = Number(process.env.REPORT_WINDOW_MS) || 60 * 60 * 1000;
+// Escalating ban lengths, e.g. "600000,3600000,86400000"
+const BAN_DURATIONS_MS = process.env.BAN_DURATIONS_MS
+  ? process.env.BAN_DURATIONS_MS.split(",").map(Number).filter((ms) => ms > 0)
+  : undefined;
+// Keys IP/device hashes; set it so bans survive restarts consistently
+const MODERATION_SECRET = process.env.MODERATION_SECRET;
+
+// Bearer token for /admin; the API is disabled when unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+// Heartbeat: ping every interval, drop sockets that miss too many
+const HEARTBEAT_INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS) || 25000;
+const HEARTBEAT_MAX_MISSED = Number(process.env.HEARTBEAT_MAX_MISSED) || 2;
+
+// Graceful shutdown: how long connected users get to leave on their
+// own after SIGTERM, and when they are told to reconnect
+const SHUTDOWN_GRACE_MS = Number(process.env.SHUTDOWN_GRACE_MS) || 10000;
+const RESTART_RETRY_MS = Number(process.env.RESTART_RETRY_MS) || 2000;
+
+// How long a chatting user's session (and partner link) survives a
+// dropped socket, waiting for them to come back with their resume token
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS) || 15000;
+// Close codes for sockets the server drops on purpose (policy strikes,
+// moderator kicks and bans); those sessions are never kept for resume
+const CLOSE_POLICY = 1008;
+const CLOSE_KICKED = 4000;
+
+// End a chat once a user has had the tab in the background this long;
+// 0 (default) keeps the chat open indefinitely
+const AWAY_LIMIT_MS = Number(process.env.AWAY_LIMIT_MS) || 0;
+
+// How long a private room's invite code stays open with nobody joining
+const ROOM_TTL_MS = Number(process.env.ROOM_TTL_MS) || 10 * 60 * 1000;
+// Most people in one group room, creator included
+const GROUP_MAX_SIZE = Number(process.env.GROUP_MAX_SIZE) || 8;
+
+// debug | info | warn | error | silent
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
 
-const ALLOWED_ORIGINS = [
-  "Your websiet Url "
-];
+// Behind Cloud Run / a load balancer the peer address is the proxy
+const TRUST_PROXY = process.env.TRUST_PROXY === "true";
+
+// Token buckets: `capacity` burst, refilled at `refillPerSec`. RATE_LIMITS
+// (JSON) overrides any of them, e.g. '{"connection":{"capacity":50}}'
+const RATE_LIMITS = applyRateLimitOverrides({
+  connection: { capacity: 10, refillPerSec: 0.5 }, // per IP
+  join: { capacity: 5, refillPerSec: 0.5 }, // per connection
+  joinPerIp: { capacity: 20, refillPerSec: 2 },
+  signal: { capacity: 60, refillPerSec: 20 }, // per connection
+  signalPerIp: { capacity: 200, refillPerSec: 60 },
+  report: { capacity: 3, refillPerSec: 1 / 60 }, // per connection
+  reportPerIp: { capacity: 10, refillPerSec: 0.1 },
+  relay: { capacity: 10, refillPerSec: 1 }, // per connection
+  relayPerIp: { capacity: 30, refillPerSec: 3 },
+  icePerIp: { capacity: 10, refillPerSec: 0.2 },
+  typing: { capacity: 10, refillPerSec: 2 }, // per connection
+  typingPerIp: { capacity: 40, refillPerSec: 8 },
+  presence: { capacity: 10, refillPerSec: 1 }, // per connection
+  presencePerIp: { capacity: 40, refillPerSec: 4 },
+  strikes: { capacity: 5, refillPerSec: 0.1 } // violations before disconnect
+}, process.env.RATE_LIMITS);
+
+// ALLOWED_ORIGINS / ORIGINS_FILE / DEV_MODE; throws if none are set
+const ORIGIN_CONFIG = loadOriginConfig();
+const isAllowedOrigin = createOriginMatcher(ORIGIN_CONFIG.patterns);
+
+// STUN_URLS / TURN_URLS / TURN_SECRET / TURN_TTL_SEC; STUN only without a secret
+const ICE_CONFIG = createIceConfigFromEnv();
+
+const app = express();
+const server = http.createServer(app);
+const wss = new WebSocketServer({ server, maxPayload: MAX_PAYLOAD_BYTES });
 
 /* ===============================
    MIDDLEWARE
@@ -25,27 +125,45 @@ const ALLOWED_ORIGINS = [
 app.use(helmet());
 app.use(express.json());
 
-app.use(
-  cors({
-    origin(origin, callback) {
-      if (!origin) return callback(null, true);
-      if (ALLOWED_ORIGINS.includes(origin)) return callback(null, true);
-      return callback(new Error("Not allowed by CORS"));
-    },
-    methods: ["GET", "POST", "OPTIONS"],
-    credentials: true
-  })
-);
+const corsOptions = {
+  origin(origin, callback) {
+    if (!origin) return callback(null, true);
+    if (isAllowedOrigin(origin)) return callback(null, true);
+    return callback(new Error("Not allowed by CORS"));
+  },
+  methods: ["GET", "POST", "OPTIONS"],
+  credentials: true
+};
+
+app.use(cors(corsOptions));
 
-app.options("*", cors());
+app.options("*", cors(corsOptions));
 
 /* ===============================
    HEALTH CHECK
 ================================ */
 app.get("/health", (req, res) => {
+  // Tells the load balancer to stop routing here while draining
+  if (shuttingDown) return res.status(503).json({ status: "draining" });
   res.status(200).json({ status: "ok" });
 });
 
+/* ===============================
+   ICE SERVERS
+   Fetched by the client before each
+   RTCPeerConnection; TURN credentials
+   expire after TURN_TTL_SEC.
+================================ */
+app.get("/ice-servers", (req, res) => {
+  if (!ipLimiters.ice.take(getClientIp(req))) {
+    metrics.errors.inc({ code: "rate_limit" });
+    return res.status(429).json({ error: "Too many requests" });
+  }
+
+  res.set("Cache-Control", "no-store");
+  res.json(ICE_CONFIG.getIceServers());
+});
+
 /* ===============================
    WEBSOCKET LOGIC
 ================================ */
@@ -53,127 +171,1165 @@ const STATES = {
   IDLE: "idle",
   SEARCHING: "searching",
   CONNECTING: "connecting",
-  CONNECTED: "connected"
+  CONNECTED: "connected",
+  IN_GROUP: "in_group"
+};
+
+// What the partner is told when a pair breaks up. Reports are
+// deliberately indistinguishable from a plain "Next".
+const PARTNER_LEFT_REASONS = {
+  skipped: "Partner left the chat",
+  reported: "Partner left the chat",
+  disconnected: "Partner disconnected",
+  timeout: "Connection timed out",
+  away: "Partner was away too long"
 };
 
+// ws -> client data, and connection id -> ws for events addressed by id
 const clients = new Map();
-let waitingUser = null;
+const sockets = new Map();
+// resume token -> { client, timer } for sessions whose socket dropped
+const detached = new Map();
+let shuttingDown = false;
+
+// Reports and bans live in memory on this instance only
+const moderation = createModeration({
+  secret: MODERATION_SECRET,
+  reportThreshold: REPORT_THRESHOLD,
+  reportWindowMs: REPORT_WINDOW_MS,
+  banDurationsMs: BAN_DURATIONS_MS
+});
+
+// Hashes with the moderation key, so logged IPs line up with ban keys
+const log = createLogger({ level: LOG_LEVEL, hash: moderation.hash });
+
+// MATCH_BACKEND / REDIS_URL; memory unless configured otherwise. Only
+// the queue and events are shared between instances; bans, unique
+// names, rooms and resumable sessions stay per instance (see backends/)
+const backend = createBackendFromEnv(process.env, { log: log.child({ component: "backend" }) });
+
+const namePolicy = createNamePolicy({
+  extraBlocked: BLOCKED_NAME_WORDS,
+  extraAllowed: ALLOWED_NAME_WORDS
+});
+
+const ipLimiters = {
+  connection: createRateLimiter(RATE_LIMITS.connection),
+  join: createRateLimiter(RATE_LIMITS.joinPerIp),
+  signal: createRateLimiter(RATE_LIMITS.signalPerIp),
+  report: createRateLimiter(RATE_LIMITS.reportPerIp),
+  relay: createRateLimiter(RATE_LIMITS.relayPerIp),
+  ice: createRateLimiter(RATE_LIMITS.icePerIp),
+  typing: createRateLimiter(RATE_LIMITS.typingPerIp),
+  presence: createRateLimiter(RATE_LIMITS.presencePerIp)
+};
+
+const metrics = createMetrics({
+  getSocketCount: () => clients.size,
+  getStateCounts() {
+    const counts = {};
+    for (const state of Object.values(STATES)) counts[state] = 0;
+    for (const client of clients.values()) counts[client.state]++;
+    return counts;
+  },
+  getQueueLength: () => matchmaker.size()
+});
+
+const matchmaker = createMatchmaker({
+  backend,
+  matchTimeoutMs: MATCH_TIMEOUT_MS,
+  fallbackMs: MATCH_FALLBACK_MS,
+  onMatch: handleMatch,
+  onTimeout: handleMatchTimeout,
+  onError: (err) => log.error("matchmaker.error", { err })
+});
+
+const rooms = createRoomRegistry({ ttlMs: ROOM_TTL_MS, onExpire: handleRoomExpired });
+const groups = createRoomRegistry({ capacity: GROUP_MAX_SIZE });
 
 wss.on("connection", (ws, req) => {
   const origin = req.headers.origin;
 
+  if (shuttingDown) {
+    ws.close(1012, "Server restarting");
+    return;
+  }
+
   // 🔐 WebSocket origin check
-  if (!ALLOWED_ORIGINS.includes(origin)) {
+  if (!isAllowedOrigin(origin)) {
+    log.info("ws.rejected", { reason: "origin", origin, ip: getClientIp(req) });
     ws.close(1008, "Origin not allowed");
     return;
   }
 
+  const ip = getClientIp(req);
+  if (!ipLimiters.connection.take(ip)) {
+    log.info("ws.rejected", { reason: "rate_limit", ip });
+    sendRateLimited(ws, "connection");
+    ws.close(1008, "Rate limit exceeded");
+    return;
+  }
+
   const id = randomUUID();
   ws.id = id;
 
+  sockets.set(id, ws);
   clients.set(ws, {
     id,
-    name: "Anonymous",
+    ip,
+    connectedAt: Date.now(),
+    ipHash: moderation.hash(ip),
+    deviceHash: null,
+    name: null,
+    // Matching pool: "text", "voice" or "video"
+    mode: "text",
+    tags: [],
+    allowRematch: false,
+    queuedAt: 0,
+    // partner id -> time they may be matched again
+    recent: new Map(),
     state: STATES.IDLE,
-    partner: null
+    // { id, instanceId, name, ipHash, deviceHash } while paired
+    partner: null,
+    // Shared by both sides of a pair, for correlating their logs
+    matchId: null,
+    // Private room code while waiting in or chatting through one
+    room: null,
+    // Group room code, and the id other members know us by
+    group: null,
+    memberId: null,
+    // Relay fallback: whether each side asked for it, and if it's on
+    relay: { requested: false, partnerRequested: false, active: false },
+    // Tab in the background while paired; awayTimer ends the chat
+    away: false,
+    awayTimer: null,
+    resumeToken: createResumeToken(),
+    // Set when the server closes the socket on purpose
+    closeCode: null,
+    missedBeats: 0,
+    pingSentAt: 0,
+    rtt: null,
+    limits: {
+      join: createTokenBucket(RATE_LIMITS.join),
+      signal: createTokenBucket(RATE_LIMITS.signal),
+      report: createTokenBucket(RATE_LIMITS.report),
+      relay: createTokenBucket(RATE_LIMITS.relay),
+      typing: createTokenBucket(RATE_LIMITS.typing),
+      presence: createTokenBucket(RATE_LIMITS.presence),
+      strikes: createTokenBucket(RATE_LIMITS.strikes)
+    }
   });
 
-  console.log(`[WS CONNECT] ${id}`);
+  log.info("ws.connect", { conn: id, ip, origin });
+  sendJSON(ws, { type: "session", resumeToken: clients.get(ws).resumeToken });
 
-  ws.on("message", (message) => {
-    try {
-      const data = JSON.parse(message);
-      const client = clients.get(ws);
-      if (!client) return;
+  ws.on("pong", () => handlePong(ws));
+
+  ws.on("message", (raw, isBinary) => {
+    const client = clients.get(ws);
+    if (!client) return;
+
+    const { ok, message: data, error } = parseMessage(raw, isBinary);
+    if (!ok) {
+      sendError(ws, "invalid_payload", `Invalid payload: ${error}`);
+      strike(ws, client, "Too many invalid messages");
+      return;
+    }
 
-      if (data.type === "join") handleJoin(ws, client, data.name);
-      else if (data.type === "signal") handleSignal(ws, client, data);
-      else if (data.type === "connected") client.state = STATES.CONNECTED;
+    try {
+      if (data.type === "join") {
+        if (allowAction(ws, client, "join")) handleJoin(ws, client, data);
+      } else if (data.type === "create-room") {
+        if (allowAction(ws, client, "join")) handleCreateRoom(ws, client, data);
+      } else if (data.type === "cancel-room") {
+        handleCancelRoom(ws, client);
+      } else if (data.type === "join-room") {
+        if (allowAction(ws, client, "join")) handleJoinRoom(ws, client, data);
+      } else if (data.type === "create-group") {
+        if (allowAction(ws, client, "join")) handleCreateGroup(ws, client, data);
+      } else if (data.type === "join-group") {
+        if (allowAction(ws, client, "join")) handleJoinGroup(ws, client, data);
+      } else if (data.type === "group-message") {
+        if (allowAction(ws, client, "relay", data.id)) handleGroupMessage(ws, client, data);
+      } else if (data.type === "signal") {
+        if (allowAction(ws, client, "signal")) handleSignal(ws, client, data);
+      } else if (data.type === "report") {
+        if (allowAction(ws, client, "report")) handleReport(ws, client, data);
+      } else if (data.type === "relay-request") {
+        handleRelayRequest(ws, client);
+      } else if (data.type === "relay") {
+        if (allowAction(ws, client, "relay", data.id)) handleRelay(ws, client, data);
+      } else if (data.type === "typing") {
+        if (allowAction(ws, client, "typing")) handleTyping(ws, client, data);
+      } else if (data.type === "pause" || data.type === "resume") {
+        if (allowAction(ws, client, "presence")) handlePresence(ws, client, data.type === "pause");
+      } else if (data.type === "resume-session") {
+        if (allowAction(ws, client, "join")) handleResumeSession(ws, client, data);
+      } else if (data.type === "connected") handleConnected(ws, client);
+      else if (data.type === "ping") sendJSON(ws, { type: "pong", ts: data.ts });
+      else if (data.type === "pong") handlePong(ws);
     } catch (err) {
-      ws.send(JSON.stringify({ type: "error", message: "Invalid payload" }));
+      metrics.errors.inc({ code: "server" });
+      log.error("ws.handler_error", { ...ctx(client), type: data.type, err });
     }
   });
 
-  ws.on("close", () => handleDisconnect(ws));
-  ws.on("error", (err) =>
-    console.error(`[WS ERROR] ${id}: ${err.message}`)
-  );
+  ws.on("close", (code) => handleDisconnect(ws, code));
+  ws.on("error", (err) => {
+    metrics.errors.inc({ code: "socket" });
+    log.warn("ws.error", { conn: ws.id, err });
+  });
+});
+
+/* ===============================
+   HEARTBEAT
+================================ */
+const heartbeat = setInterval(() => {
+  for (const [ws, client] of clients) {
+    if (client.missedBeats >= HEARTBEAT_MAX_MISSED) {
+      // Half-open socket: no close frame will ever arrive
+      log.info("ws.heartbeat_timeout", { ...ctx(client), missedBeats: client.missedBeats });
+      metrics.errors.inc({ code: "heartbeat_timeout" });
+      ws.terminate();
+      handleDisconnect(ws);
+      continue;
+    }
+
+    client.missedBeats++;
+    client.pingSentAt = Date.now();
+
+    // Protocol-level ping for the socket, JSON ping so the app
+    // can show latency; either answer counts as alive.
+    ws.ping();
+    sendJSON(ws, { type: "ping", ts: client.pingSentAt, rtt: client.rtt });
+  }
+}, HEARTBEAT_INTERVAL_MS);
+
+wss.on("close", () => {
+  clearInterval(heartbeat);
+  matchmaker.close();
 });
 
+function handlePong(ws) {
+  const client = clients.get(ws);
+  if (!client || !client.missedBeats) return;
+
+  client.missedBeats = 0;
+  client.rtt = Date.now() - client.pingSentAt;
+}
+
 /* ===============================
    MATCHING FUNCTIONS
+   Partners are addressed by id and may
+   live on another instance; everything
+   that touches a partner goes through
+   deliver() and the backend.
 ================================ */
-function handleJoin(ws, client, name) {
+function handleJoin(ws, client, { name, mode, tags, allowRematch, deviceId }) {
   if (client.state === STATES.SEARCHING) return;
 
-  client.name = name || "Stranger";
+  const checkedName = admit(ws, client, { name, deviceId });
+  if (!checkedName) return;
+
+  // Joining while paired means the user pressed "Next"
+  endCurrentChat(ws, client);
+
+  client.name = checkedName;
+  client.mode = MODES.includes(mode) ? mode : "text";
+  client.tags = normalizeTags(tags);
+  client.allowRematch = allowRematch === true;
+  client.queuedAt = Date.now();
+  log.debug("queue.join", { conn: client.id, name: client.name, mode: client.mode, tags: client.tags });
+
+  requeue(ws, client);
+}
+
+// Checks shared by every way into a chat. Returns the cleaned-up
+// name, or null once the user has been told why they can't join.
+function admit(ws, client, { name, deviceId }) {
+  if (shuttingDown) {
+    sendRestarting(ws);
+    return null;
+  }
+
+  // The device token is fixed for the lifetime of the connection
+  if (!client.deviceHash && typeof deviceId === "string" && deviceId.length <= 64) {
+    client.deviceHash = moderation.hash(deviceId);
+  }
+
+  const ban = moderation.isBanned(client);
+  if (ban) {
+    sendBanned(ws, ban);
+    return null;
+  }
+
+  const result = namePolicy.validate(name);
+  if (!result.ok) {
+    sendError(ws, result.code, result.message);
+    return null;
+  }
+
+  // Only checks this instance's users
+  if (UNIQUE_NAMES && isNameTaken(ws, result.name)) {
+    sendError(ws, "name_taken", "That name is already in use.");
+    return null;
+  }
+
+  return result.name;
+}
+
+// Whatever chat the user is in, they're moving on from it
+function endCurrentChat(ws, client) {
+  if (client.partner) unpair(ws, client, "skipped");
+  if (client.group) leaveGroup(client, "left");
+}
+
+function requeue(ws, client) {
   client.state = STATES.SEARCHING;
 
-  if (waitingUser && waitingUser !== ws) {
-    const partner = waitingUser;
-    const partnerData = clients.get(partner);
+  const now = Date.now();
+  for (const [id, until] of client.recent) {
+    if (until <= now) client.recent.delete(id);
+  }
 
-    if (!partnerData || partnerData.state !== STATES.SEARCHING) {
-      waitingUser = ws;
+  matchmaker.enqueue({
+    id: client.id,
+    name: client.name,
+    mode: client.mode,
+    tags: client.tags,
+    allowRematch: client.allowRematch,
+    recent: Object.fromEntries(client.recent),
+    joinedAt: client.queuedAt,
+    ipHash: client.ipHash,
+    deviceHash: client.deviceHash
+  });
+}
+
+function sendBanned(ws, ban) {
+  sendError(ws, "banned", "You have been temporarily banned after reports from other users.", {
+    retryAfter: Math.ceil((ban.until - Date.now()) / 1000)
+  });
+}
+
+function isNameTaken(ws, name) {
+  const key = nameKey(name);
+  for (const [other, data] of clients) {
+    if (other !== ws && data.name && nameKey(data.name) === key) return true;
+  }
+  return false;
+}
+
+// Runs on whichever instance made the pair; each side is told
+// through its own instance.
+function handleMatch(a, b, { sharedTags, waitedMs }) {
+  metrics.matches.inc();
+  for (const ms of waitedMs) metrics.timeToMatch.observe(ms / 1000);
+
+  const matchId = randomUUID();
+  const { mode } = a;
+  log.info("match.created", { match: matchId, conns: [a.id, b.id], mode, sharedTags, waitedMs });
+
+  deliver(a, { kind: "matched", matchId, partner: peerOf(b), initiator: true, mode, sharedTags });
+  deliver(b, { kind: "matched", matchId, partner: peerOf(a), initiator: false, mode, sharedTags });
+}
+
+function peerOf(entry) {
+  return {
+    id: entry.id,
+    instanceId: entry.instanceId,
+    name: entry.name,
+    ipHash: entry.ipHash,
+    deviceHash: entry.deviceHash
+  };
+}
+
+function handleMatched(ws, client, { matchId, partner, initiator, mode = "text", sharedTags }) {
+  // Left the queue while the pair was being made
+  if (client.state !== STATES.SEARCHING) {
+    log.info("match.stale", { conn: client.id, match: matchId, state: client.state });
+    deliver(partner, { kind: "partner-left", from: client.id, cause: "disconnected" });
+    return;
+  }
+
+  client.state = STATES.CONNECTING;
+  client.partner = partner;
+  client.matchId = matchId;
+  log.debug("match.delivered", { ...ctx(client), partner: partner.id, initiator });
+  client.relay = { requested: false, partnerRequested: false, active: false };
+  client.recent.set(partner.id, Date.now() + RECENT_PARTNER_WINDOW_MS);
+  matchmaker.watch(client.id);
+
+  sendJSON(ws, {
+    type: "matched",
+    initiator,
+    partnerName: partner.name,
+    mode,
+    sharedTags
+  });
+}
+
+// Our side didn't confirm in time: break the pair up on both ends
+function handleMatchTimeout(id) {
+  const ws = sockets.get(id);
+  const client = ws && clients.get(ws);
+  if (!client || !client.partner) return;
+
+  log.warn("match.timeout", { ...ctx(client), relayRequested: client.relay.requested });
+  deliver(client.partner, { kind: "partner-left", from: client.id, cause: "timeout" });
+  handlePartnerLeft(ws, client, { cause: "timeout" });
+}
+
+function handleConnected(ws, client) {
+  if (!client.partner) return;
+
+  client.state = STATES.CONNECTED;
+  matchmaker.confirm(client.id);
+  log.info("match.connected", { ...ctx(client), via: "webrtc" });
+}
+
+function handleSignal(ws, client, { signal }) {
+  if (!client.partner) return;
+
+  // Re-wrapped so the partner only ever sees a validated signal
+  log.debug("signal.sent", { ...ctx(client), signal: signal.type });
+  deliver(client.partner, { kind: "signal", from: client.id, signal });
+}
+
+// Fallback path only: clients prefer the data channel for these
+function handleTyping(ws, client, { typing }) {
+  if (!client.partner) return;
+
+  deliver(client.partner, { kind: "typing", from: client.id, typing });
+}
+
+function handleDisconnect(ws, code) {
+  const client = clients.get(ws);
+  if (!client) return;
+
+  clients.delete(ws);
+  sockets.delete(client.id);
+  // The peer may never echo our close frame, so trust our own record
+  const closeCode = client.closeCode || code;
+  log.info("ws.disconnect", { ...ctx(client), code: closeCode, state: client.state });
+
+  matchmaker.remove(client.id);
+  // A host still waiting for their guest takes the room with them
+  if (!client.partner) leaveRoom(client);
+  leaveGroup(client, "disconnected");
+
+  if (client.partner && client.state === STATES.CONNECTED) {
+    // While draining, a pair whose data channel is up keeps chatting
+    // peer-to-peer; relayed pairs and those still being set up are broken.
+    if (shuttingDown && !client.relay.active) return;
+
+    // Otherwise give the user a chance to come back to the same chat,
+    // unless they were removed
+    const removed = closeCode === CLOSE_POLICY || closeCode === CLOSE_KICKED;
+    if (!shuttingDown && !removed) {
+      detach(client);
       return;
     }
+  }
+
+  if (client.partner) unpair(ws, client, "disconnected");
+}
 
-    waitingUser = null;
+function unpair(ws, client, cause) {
+  matchmaker.forget(client.id);
+  clearAway(client);
+  leaveRoom(client);
+  log.info("match.ended", { ...ctx(client), cause, by: "self" });
+  deliver(client.partner, { kind: "partner-left", from: client.id, cause });
 
-    client.state = STATES.CONNECTING;
-    client.partner = partner;
+  client.partner = null;
+  client.matchId = null;
+  client.state = STATES.IDLE;
+}
 
-    partnerData.state = STATES.CONNECTING;
-    partnerData.partner = ws;
+function handlePartnerLeft(ws, client, { cause }) {
+  const fromRoom = Boolean(client.room);
+  matchmaker.forget(client.id);
+  clearAway(client);
+  leaveRoom(client);
+  log.info("match.ended", { ...ctx(client), cause, by: "partner" });
+  client.partner = null;
+  client.matchId = null;
+  metrics.partnerLeft.inc({ reason: cause });
 
+  // A pair that never connected goes straight back in the queue,
+  // keeping its original place. Room pairs came for each other, not
+  // for a stranger, so they don't.
+  if (cause === "timeout" && !fromRoom) {
     sendJSON(ws, {
-      type: "matched",
-      initiator: true,
-      partnerName: partnerData.name
+      type: "partner-left",
+      reason: PARTNER_LEFT_REASONS.timeout,
+      requeued: true
     });
+    requeue(ws, client);
+    return;
+  }
 
-    sendJSON(partner, {
-      type: "matched",
-      initiator: false,
-      partnerName: client.name
-    });
-  } else {
-    waitingUser = ws;
+  client.state = STATES.IDLE;
+  sendJSON(ws, { type: "partner-left", reason: PARTNER_LEFT_REASONS[cause] });
+}
+
+/* ===============================
+   PRIVATE ROOMS
+   Invite-code pairing that bypasses the
+   queue. Rooms are kept per instance, so
+   with several instances both people
+   need to land on the same one (sticky
+   sessions); otherwise the code reads as
+   expired.
+================================ */
+function handleCreateRoom(ws, client, { name, deviceId }) {
+  if (client.state === STATES.SEARCHING) return;
+
+  const checkedName = admit(ws, client, { name, deviceId });
+  if (!checkedName) return;
+
+  endCurrentChat(ws, client);
+
+  const room = rooms.create(client.id);
+  client.name = checkedName;
+  client.tags = [];
+  client.room = room.code;
+  client.queuedAt = Date.now();
+  // Waiting for a guest, but never in the matchmaking queue
+  client.state = STATES.SEARCHING;
+  log.info("room.created", { conn: client.id, ttlMs: ROOM_TTL_MS });
+
+  sendJSON(ws, { type: "room-created", code: room.code, expiresInMs: room.expiresAt - Date.now() });
+}
+
+function handleJoinRoom(ws, client, { code, name, deviceId }) {
+  if (client.state === STATES.SEARCHING) return;
+
+  const checkedName = admit(ws, client, { name, deviceId });
+  if (!checkedName) return;
+
+  const result = rooms.join(code, client.id);
+  if (!result.ok) {
+    log.info("room.rejected", { conn: client.id, reason: result.code });
+    sendError(ws, result.code, result.message);
+    return;
   }
+
+  const hostWs = sockets.get(result.room.members[0]);
+  const host = hostWs && clients.get(hostWs);
+  if (!host || host.room !== code || host.state !== STATES.SEARCHING) {
+    rooms.remove(code);
+    sendError(ws, "room_expired", "That room has expired or no longer exists.");
+    return;
+  }
+
+  endCurrentChat(ws, client);
+
+  client.name = checkedName;
+  client.tags = [];
+  client.room = code;
+  client.queuedAt = Date.now();
+  client.state = STATES.SEARCHING;
+
+  // Both sides are local; from here on it's an ordinary pair
+  const hostPeer = peerOf({ ...host, instanceId: backend.instanceId });
+  const guestPeer = peerOf({ ...client, instanceId: backend.instanceId });
+  const matchId = randomUUID();
+  log.info("room.joined", { match: matchId, conns: [host.id, client.id] });
+
+  // The host created the room, so they make the offer
+  deliver(hostPeer, { kind: "matched", matchId, partner: guestPeer, initiator: true, sharedTags: [] });
+  deliver(guestPeer, { kind: "matched", matchId, partner: hostPeer, initiator: false, sharedTags: [] });
+}
+
+// Nobody joined in time; the host goes back to idle
+// The host stops waiting; the invite code stops working at once
+function handleCancelRoom(ws, client) {
+  if (!client.room || client.partner) return;
+
+  leaveRoom(client);
+  client.state = STATES.IDLE;
+  log.info("room.cancelled", { conn: client.id });
+  sendJSON(ws, { type: "room-cancelled" });
 }
 
-function handleSignal(ws, client, data) {
-  if (client.partner && client.partner.readyState === WebSocket.OPEN) {
-    sendJSON(client.partner, data);
+function handleRoomExpired(room) {
+  const ws = sockets.get(room.members[0]);
+  const client = ws && clients.get(ws);
+  if (!client || client.room !== room.code) return;
+
+  client.room = null;
+  client.state = STATES.IDLE;
+  log.info("room.expired", { conn: client.id });
+  sendError(ws, "room_expired", "Nobody joined your room in time, so the link has expired.");
+}
+
+// Rooms are single use: once their chat is over, so are they
+function leaveRoom(client) {
+  if (!client.room) return;
+
+  rooms.remove(client.room);
+  client.room = null;
+}
+
+/* ===============================
+   GROUP ROOMS
+   Up to GROUP_MAX_SIZE people sharing an
+   invite code. No WebRTC: every message
+   goes through the server, which fans it
+   out. Members are told about each other
+   by member id, never connection id.
+   Per instance, like private rooms.
+================================ */
+function handleCreateGroup(ws, client, { name, deviceId }) {
+  if (client.state === STATES.SEARCHING) return;
+
+  const checkedName = admit(ws, client, { name, deviceId });
+  if (!checkedName) return;
+
+  endCurrentChat(ws, client);
+
+  const group = groups.create(client.id);
+  log.info("group.created", { conn: client.id, maxSize: GROUP_MAX_SIZE });
+  enterGroup(ws, client, group, checkedName);
+}
+
+function handleJoinGroup(ws, client, { code, name, deviceId }) {
+  if (client.state === STATES.SEARCHING || client.group === code) return;
+
+  const checkedName = admit(ws, client, { name, deviceId });
+  if (!checkedName) return;
+
+  const result = groups.join(code, client.id);
+  if (!result.ok) {
+    log.info("group.rejected", { conn: client.id, reason: result.code });
+    sendError(ws, result.code, result.message);
+    return;
   }
+
+  endCurrentChat(ws, client);
+
+  log.info("group.joined", { conn: client.id, size: result.room.members.length });
+  enterGroup(ws, client, result.room, checkedName);
 }
 
-function handleDisconnect(ws) {
-  const client = clients.get(ws);
-  if (!client) return;
+function enterGroup(ws, client, group, name) {
+  client.name = name;
+  client.tags = [];
+  client.group = group.code;
+  client.memberId = randomBytes(6).toString("base64url");
+  client.state = STATES.IN_GROUP;
+
+  sendJSON(ws, {
+    type: "group-joined",
+    code: group.code,
+    you: client.memberId,
+    members: groupMembers(group).map(memberOf),
+    maxSize: GROUP_MAX_SIZE
+  });
+  broadcastToGroup(group, { type: "group-member-joined", member: memberOf(client) }, client);
+}
 
-  if (waitingUser === ws) waitingUser = null;
+// `reason` is "left" (moved on to another chat) or "disconnected"
+function leaveGroup(client, reason) {
+  if (!client.group) return;
 
-  if (client.partner) {
-    const partnerData = clients.get(client.partner);
-    if (partnerData) {
-      partnerData.partner = null;
-      sendJSON(client.partner, { type: "partner-left" });
-    }
+  const group = groups.leave(client.group, client.id);
+  log.info("group.left", { conn: client.id, reason, size: group ? group.members.length : 0 });
+  if (group) broadcastToGroup(group, { type: "group-member-left", id: client.memberId, reason });
+
+  client.group = null;
+  client.memberId = null;
+  client.state = STATES.IDLE;
+}
+
+function handleGroupMessage(ws, client, { text }) {
+  const group = client.group && groups.get(client.group);
+  if (!group) return;
+
+  broadcastToGroup(group, { type: "group-message", from: client.memberId, text }, client);
+  metrics.groupMessages.inc();
+}
+
+function groupMembers(group) {
+  return group.members.map((id) => clients.get(sockets.get(id))).filter(Boolean);
+}
+
+function memberOf(client) {
+  return { id: client.memberId, name: client.name };
+}
+
+function broadcastToGroup(group, payload, except = null) {
+  for (const id of group.members) {
+    const ws = sockets.get(id);
+    if (ws && clients.get(ws) !== except) sendJSON(ws, payload);
   }
+}
 
-  clients.delete(ws);
+/* ===============================
+   PRESENCE
+   Clients send pause/resume as their tab
+   goes to the background and back; the
+   partner sees away/back notices.
+================================ */
+function handlePresence(ws, client, away) {
+  if (!client.partner || client.away === away) return;
+
+  client.away = away;
+  clearTimeout(client.awayTimer);
+  client.awayTimer = null;
+
+  if (!away) {
+    deliver(client.partner, { kind: "partner-back", from: client.id });
+    return;
+  }
+
+  deliver(client.partner, {
+    kind: "partner-away",
+    from: client.id,
+    endsInMs: AWAY_LIMIT_MS || null
+  });
+
+  if (AWAY_LIMIT_MS) {
+    client.awayTimer = setTimeout(() => endAwayChat(client), AWAY_LIMIT_MS);
+  }
+}
+
+function endAwayChat(client) {
+  client.awayTimer = null;
+  if (!client.partner) return;
+
+  // The socket may have been swapped by a resume since the timer started
+  const ws = sockets.get(client.id);
+  unpair(ws, client, "away");
+
+  // Not requeued: nobody is there to meet a new partner
+  if (ws) {
+    sendJSON(ws, { type: "chat-ended", reason: "The chat ended because you were away too long." });
+  }
+}
+
+function clearAway(client) {
+  clearTimeout(client.awayTimer);
+  client.awayTimer = null;
+  client.away = false;
+}
+
+/* ===============================
+   RELAY FALLBACK
+   When ICE can't connect (symmetric NAT
+   on both ends) the pair may agree to
+   send chat text through the server.
+   Each side asks; once both have, each
+   instance switches its own user over.
+================================ */
+function handleRelayRequest(ws, client) {
+  if (!client.partner || client.relay.requested) return;
+
+  client.relay.requested = true;
+  log.info("relay.requested", ctx(client));
+  deliver(client.partner, { kind: "relay-request", from: client.id });
+  maybeStartRelay(ws, client);
+}
+
+function handlePartnerRelayRequest(ws, client) {
+  client.relay.partnerRequested = true;
+  maybeStartRelay(ws, client);
+}
+
+function maybeStartRelay(ws, client) {
+  const { relay } = client;
+  if (relay.active || !relay.requested || !relay.partnerRequested) return;
+
+  // A relayed chat counts as connected; there is no data channel to confirm
+  relay.active = true;
+  client.state = STATES.CONNECTED;
+  matchmaker.confirm(client.id);
+  log.info("match.connected", { ...ctx(client), via: "relay" });
+
+  sendJSON(ws, { type: "relay-ready" });
+}
+
+function handleRelay(ws, client, { text }) {
+  if (!client.partner || !client.relay.active) return;
+
+  deliver(client.partner, { kind: "relay", from: client.id, text });
+}
+
+/* ===============================
+   SESSION RESUME
+   A dropped socket mid-chat (network
+   switch, tab suspended) keeps its
+   session for RESUME_GRACE_MS. The new
+   socket presents the resume token to
+   take the session over. Sessions are
+   per instance, so a reconnect landing
+   elsewhere simply fails to resume.
+================================ */
+function createResumeToken() {
+  return randomBytes(24).toString("base64url");
+}
+
+function detach(client) {
+  const timer = setTimeout(() => expireSession(client), RESUME_GRACE_MS);
+  detached.set(client.resumeToken, { client, timer });
+  log.info("session.detached", { ...ctx(client), graceMs: RESUME_GRACE_MS });
+}
+
+function expireSession(client) {
+  const entry = detached.get(client.resumeToken);
+  if (!entry) return;
+
+  clearTimeout(entry.timer);
+  detached.delete(client.resumeToken);
+  log.info("session.expired", ctx(client));
+  if (client.partner) unpair(null, client, "disconnected");
+}
+
+// The session a token would resume, without taking it
+function findSession(token) {
+  const entry = detached.get(token);
+  if (entry) return entry.client;
+
+  for (const session of clients.values()) {
+    if (session.resumeToken === token && session.state === STATES.CONNECTED) return session;
+  }
+  return null;
+}
+
+function takeSession(token) {
+  const entry = detached.get(token);
+  if (entry) {
+    clearTimeout(entry.timer);
+    detached.delete(token);
+    return entry.client;
+  }
+
+  // The old socket may be half-open and not noticed as dead yet
+  for (const [oldWs, session] of clients) {
+    if (session.resumeToken !== token || session.state !== STATES.CONNECTED) continue;
+
+    clients.delete(oldWs);
+    sockets.delete(session.id);
+    oldWs.terminate();
+    return session;
+  }
+
+  return null;
+}
+
+// Events for a connection that is gone or waiting to be resumed
+function handleDetachedEvent(event) {
+  if (event.kind === "matched") {
+    deliver(event.partner, { kind: "partner-left", from: event.to, cause: "disconnected" });
+    return;
+  }
+
+  // Signals can't be delivered and are dropped; if the partner left
+  // there is nothing to come back to.
+  if (event.kind !== "partner-left") return;
+
+  for (const [token, { client, timer }] of detached) {
+    if (client.id !== event.to || !client.partner || client.partner.id !== event.from) continue;
+
+    clearTimeout(timer);
+    detached.delete(token);
+    clearAway(client);
+    leaveRoom(client);
+    metrics.partnerLeft.inc({ reason: event.cause });
+    return;
+  }
+}
+
+function handleResumeSession(ws, client, { token }) {
+  const ban = moderation.isBanned(client) || moderation.isBanned(findSession(token) || {});
+  if (ban) {
+    // A banned user's chat is over; their partner hears so now
+    const session = takeSession(token);
+    if (session && session.partner) unpair(null, session, "disconnected");
+    sendBanned(ws, ban);
+    return;
+  }
+
+  // Only a fresh connection can take over a session
+  const session = !client.name && !shuttingDown ? takeSession(token) : null;
+  if (!session) {
+    sendError(ws, "resume_failed", "That session can no longer be resumed.");
+    return;
+  }
+
+  sockets.delete(client.id);
+  sockets.set(session.id, ws);
+  clients.set(ws, session);
+  ws.id = session.id;
+
+  // A token is good for one resume only
+  session.ip = client.ip;
+  session.ipHash = client.ipHash;
+  session.resumeToken = createResumeToken();
+  session.missedBeats = 0;
+
+  log.info("session.resumed", { ...ctx(session), replacedConn: client.id, ip: session.ip });
+  sendJSON(ws, {
+    type: "session-resumed",
+    resumeToken: session.resumeToken,
+    partnerName: session.partner ? session.partner.name : null
+  });
+}
+
+/* ===============================
+   EVENT DELIVERY
+================================ */
+
+// Sends an event to connection `target.id`, wherever it lives
+function deliver(target, event) {
+  const addressed = { ...event, to: target.id };
+
+  if (target.instanceId === backend.instanceId) {
+    handleBackendEvent(addressed);
+    return;
+  }
+
+  backend.publish(target.instanceId, addressed).catch((err) => {
+    metrics.errors.inc({ code: "backend" });
+    log.error("backend.publish_failed", { to: target.id, kind: event.kind, err });
+  });
+}
+
+function handleBackendEvent(event) {
+  const ws = sockets.get(event.to);
+  const client = ws && clients.get(ws);
+
+  if (!client) {
+    handleDetachedEvent(event);
+    return;
+  }
+
+  if (event.kind === "matched") {
+    handleMatched(ws, client, event);
+    return;
+  }
+
+  // Everything else only counts if it comes from the current partner
+  if (!client.partner || client.partner.id !== event.from) return;
+
+  if (event.kind === "signal") {
+    sendJSON(ws, { type: "signal", signal: event.signal });
+    metrics.signalsRelayed.inc();
+  } else if (event.kind === "partner-away") {
+    sendJSON(ws, { type: "partner-away", endsInMs: event.endsInMs });
+  } else if (event.kind === "partner-back") {
+    sendJSON(ws, { type: "partner-back" });
+  } else if (event.kind === "typing") {
+    sendJSON(ws, { type: "typing", typing: event.typing });
+  } else if (event.kind === "relay-request") {
+    handlePartnerRelayRequest(ws, client);
+  } else if (event.kind === "relay") {
+    // Only delivered once our side has agreed to relay too
+    if (!client.relay.active) return;
+    sendJSON(ws, { type: "relay", text: event.text });
+    metrics.chatRelayed.inc();
+  } else if (event.kind === "partner-left") {
+    handlePartnerLeft(ws, client, event);
+  }
+}
+
+/* ===============================
+   MODERATION
+================================ */
+function handleReport(ws, client, { reason }) {
+  if (!REPORT_REASONS.includes(reason)) {
+    sendError(ws, "invalid_report", "Unknown report reason");
+    return;
+  }
+
+  const partner = client.partner;
+  if (!partner) return;
+
+  const ban = moderation.report({ reporter: client, target: partner, reason });
+  log.info("moderation.report", { ...ctx(client), target: partner.id, reason });
+  if (ban) {
+    log.warn("moderation.ban", {
+      conn: partner.id,
+      match: client.matchId,
+      reason: ban.reason,
+      until: new Date(ban.until).toISOString()
+    });
+  }
+
+  unpair(ws, client, "reported");
+  sendJSON(ws, { type: "report-received" });
+
+  // Don't make the reporter wait on their client to rejoin
+  client.queuedAt = Date.now();
+  requeue(ws, client);
+}
+
+/* ===============================
+   RATE LIMITING
+================================ */
+// `ref` identifies the refused message to the client, when it sent one
+function allowAction(ws, client, action, ref) {
+  if (client.limits[action].take() && ipLimiters[action].take(client.ip)) {
+    return true;
+  }
+
+  sendRateLimited(ws, action, ref);
+  strike(ws, client, "Rate limit exceeded");
+  return false;
+}
+
+// Each rejected message is a strike; repeat offenders get dropped
+function strike(ws, client, reason) {
+  if (!client.limits.strikes.take()) {
+    closeClient(ws, CLOSE_POLICY, reason);
+  }
+}
+
+// Remembers why the server closed the socket for handleDisconnect
+function closeClient(ws, code, reason) {
+  const client = clients.get(ws);
+  if (client) client.closeCode = code;
+  ws.close(code, reason);
+}
+
+// Names the limited action so clients can tell "type slower" from a flood
+function sendRateLimited(ws, action, ref) {
+  sendError(ws, "rate_limit", "Too many requests. Please slow down.", { action, ref });
 }
 
 /* ===============================
    HELPERS
 ================================ */
+function getClientIp(req) {
+  if (TRUST_PROXY) {
+    const forwarded = req.headers["x-forwarded-for"];
+    if (forwarded) return forwarded.split(",")[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+// Correlation fields for a connection's log lines
+function ctx(client) {
+  return { conn: client.id, match: client.matchId || undefined };
+}
+
 function sendJSON(ws, payload) {
   if (ws.readyState === WebSocket.OPEN) {
     ws.send(JSON.stringify(payload));
   }
 }
 
+function sendError(ws, code, message, extra = {}) {
+  metrics.errors.inc({ code });
+  log.debug("client.error", { conn: ws.id, code });
+  sendJSON(ws, { type: "error", code, message, ...extra });
+}
+
+/* ===============================
+   METRICS
+================================ */
+app.get("/metrics", async (req, res, next) => {
+  try {
+    res.set("Content-Type", metrics.registry.contentType);
+    res.end(await metrics.registry.metrics());
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* ===============================
+   ADMIN API
+================================ */
+if (ADMIN_TOKEN) {
+  app.use(
+    "/admin",
+    createAdminRouter({
+      token: ADMIN_TOKEN,
+      clients,
+      matchmaker,
+      moderation,
+      kick: kickClient
+    })
+  );
+}
+
+function kickClient(ws, reason) {
+  sendError(ws, "kicked", reason);
+  closeClient(ws, CLOSE_KICKED, "Removed by moderator");
+}
+
+/* ===============================
+   GRACEFUL SHUTDOWN
+   SIGTERM stops new connections and
+   matching, asks everyone to reconnect
+   (to another instance) and waits up to
+   SHUTDOWN_GRACE_MS before closing.
+================================ */
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info("server.shutdown", { signal, connections: clients.size, graceMs: SHUTDOWN_GRACE_MS });
+
+  server.close();
+  matchmaker.close();
+
+  for (const { timer } of detached.values()) clearTimeout(timer);
+  detached.clear();
+
+  for (const [ws, client] of clients) {
+    if (client.state === STATES.SEARCHING) {
+      matchmaker.remove(client.id);
+      leaveRoom(client);
+      client.state = STATES.IDLE;
+    }
+    sendRestarting(ws);
+  }
+
+  const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+  const poll = setInterval(() => {
+    if (clients.size && Date.now() < deadline) return;
+    clearInterval(poll);
+
+    close().finally(() => process.exit(0));
+  }, 100);
+}
+
+function sendRestarting(ws) {
+  sendJSON(ws, { type: "server-restarting", retryAfterMs: RESTART_RETRY_MS });
+}
+
+// Stops everything this module started, without exiting the process.
+// Remaining sockets get a close frame; nothing is drained.
+async function close() {
+  shuttingDown = true;
+
+  for (const { timer } of detached.values()) clearTimeout(timer);
+  detached.clear();
+  for (const [ws, client] of clients) {
+    clearTimeout(client.awayTimer);
+    ws.close(1012, "Server restarting");
+  }
+
+  for (const limiter of Object.values(ipLimiters)) limiter.close();
+  rooms.close();
+  groups.close();
+
+  // Also stops the heartbeat and the matchmaker
+  await new Promise((resolve) => wss.close(() => resolve()));
+  await new Promise((resolve) => {
+    if (!server.listening) return resolve();
+    server.close(() => resolve());
+    server.closeIdleConnections();
+  });
+
+  try {
+    await backend.close();
+  } catch (err) {
+    log.error("backend.close_failed", { err });
+  }
+}
+
 /* ===============================
    EXPRESS ERRORS
 ================================ */
@@ -182,13 +1338,49 @@ app.use((req, res) => {
 });
 
 app.use((err, req, res, next) => {
-  console.error("[SERVER ERROR]", err.message);
+  metrics.errors.inc({ code: "server" });
+  log.error("http.error", { method: req.method, path: req.path, err });
   res.status(500).json({ error: "Internal Server Error" });
 });
 
 /* ===============================
    START SERVER
+   Requiring this module sets everything
+   up but doesn't listen; `npm start` runs
+   it directly, tests call start()/close().
 ================================ */
-server.listen(PORT, "0.0.0.0", () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-});
+
+// Resolves with the bound port (pass 0 for any free one)
+async function start(port = PORT) {
+  await backend.start(handleBackendEvent);
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "0.0.0.0", () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+  const bound = server.address().port;
+  log.info("server.listening", { port: bound, instance: backend.instanceId });
+  if (!ICE_CONFIG.turnEnabled) {
+    log.warn("server.no_turn", { detail: "Peers behind strict NATs will need the relay" });
+  }
+  if (ORIGIN_CONFIG.devMode) {
+    log.warn("server.dev_mode", { detail: "Accepting localhost origins on any port" });
+  }
+  return bound;
+}
+
+module.exports = { app, server, wss, start, close };
+
+if (require.main === module) {
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+
+  start().catch((err) => {
+    log.error("server.start_failed", { err });
+    process.exit(1);
+  });
+}
@@ -0,0 +1,50 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Every ioredis client becomes an in-process mock; mocks share one
+// keyspace and pub/sub, so the servers below behave like instances
+// on the same Redis
+const ioredisPath = require.resolve("ioredis");
+require.cache[ioredisPath] = {
+  id: ioredisPath,
+  filename: ioredisPath,
+  loaded: true,
+  exports: require("ioredis-mock")
+};
+
+const { startServer, join } = require("./harness");
+
+let east;
+let west;
+
+before(async () => {
+  const env = { MATCH_BACKEND: "redis", REDIS_PREFIX: "cluster-test" };
+  east = await startServer(env);
+  west = await startServer(env);
+});
+
+after(async () => {
+  await Promise.all([east.close(), west.close()]);
+});
+
+test("pairs, relays signals and reports leaving across instances", async () => {
+  const alice = await join(east.url, "alice");
+  const bob = await join(west.url, "bob");
+
+  const [a, b] = await Promise.all([alice.next("matched"), bob.next("matched")]);
+  assert.equal(a.partnerName, "bob");
+  assert.equal(b.partnerName, "alice");
+  assert.notEqual(a.initiator, b.initiator);
+
+  alice.send({ type: "signal", signal: { type: "offer", sdp: "v=0 offer" } });
+  assert.deepEqual((await bob.next("signal")).signal, { type: "offer", sdp: "v=0 offer" });
+
+  bob.send({ type: "signal", signal: { type: "answer", sdp: "v=0 answer" } });
+  assert.deepEqual((await alice.next("signal")).signal, { type: "answer", sdp: "v=0 answer" });
+
+  await alice.close();
+  const left = await bob.next("partner-left");
+  assert.equal(left.type, "partner-left");
+
+  await bob.close();
+});
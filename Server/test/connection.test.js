@@ -0,0 +1,66 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, connect } = require("./harness");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test("rejects sockets from origins that aren't allowed", async () => {
+  const client = await connect(server.url, { origin: "https://evil.test" });
+
+  const { code, reason } = await client.closed;
+  assert.equal(code, 1008);
+  assert.equal(reason, "Origin not allowed");
+  assert.equal(client.messages.length, 0);
+});
+
+test("issues a resume token on connect", async () => {
+  const client = await connect(server.url);
+
+  const session = await client.next("session");
+  assert.equal(typeof session.resumeToken, "string");
+  assert.ok(session.resumeToken.length >= 32);
+
+  await client.close();
+});
+
+test("answers invalid JSON with an error and keeps the socket open", async () => {
+  const client = await connect(server.url);
+
+  client.send("{not json");
+  const error = await client.next("error");
+  assert.equal(error.code, "invalid_payload");
+
+  // Still usable afterwards
+  client.send({ type: "ping", ts: 42 });
+  const pong = await client.next("pong");
+  assert.equal(pong.ts, 42);
+
+  await client.close();
+});
+
+test("rejects unknown message types", async () => {
+  const client = await connect(server.url);
+
+  client.send({ type: "launch-missiles" });
+  const error = await client.next("error");
+  assert.equal(error.code, "invalid_payload");
+  assert.match(error.message, /Unknown message type/);
+
+  await client.close();
+});
+
+test("rejects names that break the name rules", async () => {
+  const client = await connect(server.url);
+
+  client.send({ type: "join", name: "x" });
+  const error = await client.next("error");
+  assert.equal(error.code, "invalid_name");
+
+  await client.close();
+});
@@ -0,0 +1,88 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, connect } = require("./harness");
+
+let server;
+
+before(async () => {
+  server = await startServer({ GROUP_MAX_SIZE: "3" });
+});
+
+after(() => server.close());
+
+async function createGroup(name) {
+  const client = await connect(server.url);
+  client.send({ type: "create-group", name });
+  const joined = await client.next("group-joined");
+  return [client, joined];
+}
+
+async function joinGroup(code, name) {
+  const client = await connect(server.url);
+  client.send({ type: "join-group", code, name });
+  return client;
+}
+
+test("announces members and fans messages out to everyone else", async () => {
+  const [alice, created] = await createGroup("alice");
+  assert.equal(created.maxSize, 3);
+  assert.deepEqual(created.members, [{ id: created.you, name: "alice" }]);
+
+  const bob = await joinGroup(created.code, "bob");
+  const joined = await bob.next("group-joined");
+  assert.deepEqual(
+    joined.members.map((member) => member.name),
+    ["alice", "bob"]
+  );
+
+  const announced = await alice.next("group-member-joined");
+  assert.deepEqual(announced.member, { id: joined.you, name: "bob" });
+
+  const carl = await joinGroup(created.code, "carl");
+  const { you: carlId } = await carl.next("group-joined");
+  await Promise.all([alice.next("group-member-joined"), bob.next("group-member-joined")]);
+
+  carl.send({ type: "group-message", text: "hi all" });
+  const [toAlice, toBob] = await Promise.all([alice.next("group-message"), bob.next("group-message")]);
+  assert.deepEqual(toAlice, { type: "group-message", from: carlId, text: "hi all" });
+  assert.deepEqual(toBob, toAlice);
+  assert.ok(await carl.nothing("group-message"));
+
+  // Capacity is 3
+  const dave = await joinGroup(created.code, "dave");
+  assert.equal((await dave.next("error")).code, "room_full");
+
+  await Promise.all([alice.close(), bob.close(), carl.close(), dave.close()]);
+});
+
+test("tells the rest of the group when someone leaves", async () => {
+  const [alice, created] = await createGroup("alice");
+  const bob = await joinGroup(created.code, "bob");
+  const { you: bobId } = await bob.next("group-joined");
+  const carl = await joinGroup(created.code, "carl");
+  const { you: carlId } = await carl.next("group-joined");
+
+  await bob.close();
+  const gone = await alice.next("group-member-left");
+  assert.deepEqual(gone, { type: "group-member-left", id: bobId, reason: "disconnected" });
+
+  // Heading off to a random chat leaves the group too
+  carl.send({ type: "join", name: "carl" });
+  const moved = await alice.next("group-member-left");
+  assert.deepEqual(moved, { type: "group-member-left", id: carlId, reason: "left" });
+
+  carl.send({ type: "group-message", text: "still here?" });
+  assert.ok(await alice.nothing("group-message"));
+
+  await Promise.all([alice.close(), carl.close()]);
+});
+
+test("rejects codes for groups that no longer exist", async () => {
+  const [alice, created] = await createGroup("alice");
+  await alice.close();
+
+  const bob = await joinGroup(created.code, "bob");
+  assert.equal((await bob.next("error")).code, "room_expired");
+
+  await bob.close();
+});
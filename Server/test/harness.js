@@ -0,0 +1,124 @@
+/* ===============================
+   TEST HARNESS
+   Boots server.js in-process on a free
+   port and drives it with real ws
+   clients. Config is read from the env
+   when server.js is required, so each
+   startServer() loads a fresh copy: a
+   file can run several instances side
+   by side. `node --test` runs every
+   file in its own process.
+================================ */
+
+const { once } = require("events");
+const WebSocket = require("ws");
+
+const ORIGIN = "http://allowed.test";
+
+// Every test client connects from 127.0.0.1, so a whole file would
+// share the per-IP buckets. Per-connection limits stay as shipped.
+const PER_IP_LIMITS = [
+  "connection",
+  "joinPerIp",
+  "signalPerIp",
+  "reportPerIp",
+  "relayPerIp",
+  "icePerIp",
+  "typingPerIp",
+  "presencePerIp"
+];
+const TEST_RATE_LIMITS = JSON.stringify(
+  Object.fromEntries(PER_IP_LIMITS.map((name) => [name, { capacity: 1000, refillPerSec: 1000 }]))
+);
+
+async function startServer(env = {}) {
+  Object.assign(process.env, {
+    ALLOWED_ORIGINS: ORIGIN,
+    LOG_LEVEL: "silent",
+    RATE_LIMITS: TEST_RATE_LIMITS,
+    ...env
+  });
+
+  delete require.cache[require.resolve("../server")];
+  const app = require("../server");
+  const port = await app.start(0);
+
+  return { url: `ws://127.0.0.1:${port}`, http: `http://127.0.0.1:${port}`, close: app.close };
+}
+
+// A client that records every message and can wait for the next one
+// of a given type. Messages are handed out once each, in order.
+async function connect(url, { origin = ORIGIN } = {}) {
+  const ws = new WebSocket(url, { origin });
+  const messages = [];
+  const taken = new Set();
+  const waiters = new Set();
+
+  const closed = once(ws, "close").then(([code, reason]) => ({ code, reason: String(reason) }));
+
+  ws.on("message", (raw) => {
+    messages.push(JSON.parse(raw));
+    for (const waiter of waiters) waiter();
+  });
+
+  function take(type) {
+    const index = messages.findIndex((message, i) => !taken.has(i) && message.type === type);
+    if (index === -1) return null;
+
+    taken.add(index);
+    return messages[index];
+  }
+
+  function next(type, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+      const found = take(type);
+      if (found) return resolve(found);
+
+      const timer = setTimeout(() => {
+        waiters.delete(waiter);
+        reject(new Error(`Timed out waiting for "${type}"`));
+      }, timeoutMs);
+
+      function waiter() {
+        const message = take(type);
+        if (!message) return;
+
+        clearTimeout(timer);
+        waiters.delete(waiter);
+        resolve(message);
+      }
+      waiters.add(waiter);
+    });
+  }
+
+  // Resolves true if no message of `type` arrives within the window
+  async function nothing(type, windowMs = 200) {
+    try {
+      await next(type, windowMs);
+      return false;
+    } catch {
+      return true;
+    }
+  }
+
+  function send(message) {
+    ws.send(typeof message === "string" ? message : JSON.stringify(message));
+  }
+
+  async function close() {
+    if (ws.readyState !== WebSocket.CLOSED) ws.close();
+    await closed;
+  }
+
+  await Promise.race([once(ws, "open"), closed]);
+  return { ws, messages, next, nothing, send, close, closed };
+}
+
+// Connects a client and has it join straight away
+async function join(url, name, extra = {}) {
+  const client = await connect(url);
+  client.send({ type: "join", name, ...extra });
+  return client;
+}
+
+module.exports = { ORIGIN, startServer, connect, join };
@@ -0,0 +1,65 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHmac } = require("crypto");
+const { createIceConfig, createIceConfigFromEnv, DEFAULT_STUN_URLS } = require("../ice");
+const { startServer } = require("./harness");
+
+const TURN_SECRET = "test-turn-secret";
+const TURN_URLS = ["turn:turn.test:3478", "turns:turn.test:5349"];
+
+function hmac(username) {
+  return createHmac("sha1", TURN_SECRET).update(username).digest("base64");
+}
+
+let server;
+
+before(async () => {
+  server = await startServer({ TURN_SECRET, TURN_URLS: TURN_URLS.join(","), TURN_TTL_SEC: "600" });
+});
+
+after(() => server.close());
+
+test("builds TURN REST credentials from the shared secret", () => {
+  const ice = createIceConfig({
+    turnUrls: TURN_URLS,
+    turnSecret: TURN_SECRET,
+    ttlSec: 600,
+    now: () => 1700000000500
+  });
+  assert.equal(ice.turnEnabled, true);
+
+  const { iceServers, ttl } = ice.getIceServers("conn-1");
+  assert.equal(ttl, 600);
+  assert.deepEqual(iceServers[0], { urls: DEFAULT_STUN_URLS });
+  assert.deepEqual(iceServers[1], {
+    urls: TURN_URLS,
+    username: "1700000600:conn-1",
+    credential: hmac("1700000600:conn-1")
+  });
+});
+
+test("falls back to STUN only without a secret", () => {
+  const ice = createIceConfigFromEnv({ TURN_URLS: TURN_URLS.join(",") });
+  assert.equal(ice.turnEnabled, false);
+  assert.deepEqual(ice.getIceServers().iceServers, [{ urls: DEFAULT_STUN_URLS }]);
+
+  const custom = createIceConfigFromEnv({ STUN_URLS: "stun:a.test, stun:b.test" });
+  assert.deepEqual(custom.getIceServers().iceServers, [{ urls: ["stun:a.test", "stun:b.test"] }]);
+});
+
+test("serves fresh TURN credentials to clients", async () => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const res = await fetch(`${server.http}/ice-servers`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("cache-control"), "no-store");
+
+  const { iceServers, ttl } = await res.json();
+  assert.equal(ttl, 600);
+
+  const turn = iceServers.find((entry) => entry.username);
+  assert.deepEqual(turn.urls, TURN_URLS);
+  const [expiry, id] = turn.username.split(":");
+  assert.ok(Number(expiry) >= issuedAt + 600 && Number(expiry) <= issuedAt + 601);
+  assert.ok(id);
+  assert.equal(turn.credential, hmac(turn.username));
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, join } = require("./harness");
+
+let server;
+
+before(async () => {
+  server = await startServer({ MATCH_TIMEOUT_MS: "1000" });
+});
+
+after(() => server.close());
+
+test("pairs two waiting users and makes the first one the initiator", async () => {
+  const alice = await join(server.url, "alice");
+  const bob = await join(server.url, "bob");
+
+  const [a, b] = await Promise.all([alice.next("matched"), bob.next("matched")]);
+  assert.equal(a.partnerName, "bob");
+  assert.equal(b.partnerName, "alice");
+  assert.equal(a.initiator, true);
+  assert.equal(b.initiator, false);
+
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("ignores a second join while already searching", async () => {
+  const alice = await join(server.url, "alice");
+  alice.send({ type: "join", name: "alice" });
+
+  const bob = await join(server.url, "bob");
+  await Promise.all([alice.next("matched"), bob.next("matched")]);
+
+  // Had the second join queued alice twice, carl would be paired with her too
+  const carl = await join(server.url, "carl");
+  assert.ok(await carl.nothing("matched"));
+  assert.ok(await alice.nothing("matched"));
+
+  await Promise.all([alice.close(), bob.close(), carl.close()]);
+});
+
+test("tells the partner when the other side disconnects while connecting", async () => {
+  const alice = await join(server.url, "alice");
+  const bob = await join(server.url, "bob");
+  await Promise.all([alice.next("matched"), bob.next("matched")]);
+
+  await bob.close();
+  const left = await alice.next("partner-left");
+  assert.equal(left.reason, "Partner disconnected");
+  assert.equal(left.requeued, undefined);
+
+  // Alice can go straight back into the queue
+  alice.send({ type: "join", name: "alice" });
+  const dave = await join(server.url, "dave");
+  const matched = await alice.next("matched");
+  assert.equal(matched.partnerName, "dave");
+
+  await Promise.all([alice.close(), dave.close()]);
+});
+
+test("requeues both sides when a pair never connects", async () => {
+  const alice = await join(server.url, "alice");
+  const bob = await join(server.url, "bob");
+  await Promise.all([alice.next("matched"), bob.next("matched")]);
+
+  const [a, b] = await Promise.all([alice.next("partner-left"), bob.next("partner-left")]);
+  assert.equal(a.reason, "Connection timed out");
+  assert.equal(a.requeued, true);
+  assert.equal(b.requeued, true);
+
+  await Promise.all([alice.close(), bob.close()]);
+});
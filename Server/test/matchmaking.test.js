@@ -0,0 +1,100 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { findPairs } = require("../matchmaking");
+
+const FALLBACK_MS = 10000;
+
+function entry(id, joinedAt, { tags = [], ...rest } = {}) {
+  return { id, joinedAt, tags, mode: "text", recent: {}, allowRematch: false, ...rest };
+}
+
+// Pairs as sorted id lists, e.g. [["alice", "carl"]]
+function pairIds(result) {
+  return result.pairs.map((pair) => pair.map((e) => e.id).sort());
+}
+
+test("untagged users pair at once, in arrival order", () => {
+  const result = findPairs([entry("carl", 2), entry("alice", 0), entry("bob", 1)], 3, FALLBACK_MS);
+  assert.deepEqual(pairIds(result), [["alice", "bob"]]);
+});
+
+test("a shared tag wins over arrival order", () => {
+  const entries = [
+    entry("alice", 0, { tags: ["music"] }),
+    entry("bob", 1),
+    entry("carl", 2, { tags: ["music"] })
+  ];
+  // Late enough that alice would also take anyone
+  const result = findPairs(entries, FALLBACK_MS + 1, FALLBACK_MS);
+  assert.deepEqual(pairIds(result), [["alice", "carl"]]);
+});
+
+test("tagged users without a shared tag wait for the fallback", () => {
+  const entries = [entry("alice", 0, { tags: ["music"] }), entry("bob", 1, { tags: ["art"] })];
+
+  const early = findPairs(entries, 5000, FALLBACK_MS);
+  assert.deepEqual(early.pairs, []);
+  assert.equal(early.wakeAt, FALLBACK_MS);
+
+  // Still too early for bob, who joined later
+  assert.deepEqual(findPairs(entries, FALLBACK_MS, FALLBACK_MS).pairs, []);
+
+  const late = findPairs(entries, FALLBACK_MS + 1, FALLBACK_MS);
+  assert.deepEqual(pairIds(late), [["alice", "bob"]]);
+});
+
+test("an untagged user doesn't take a tagged one before the fallback", () => {
+  const entries = [entry("alice", 0), entry("bob", 1, { tags: ["art"] })];
+
+  assert.deepEqual(findPairs(entries, 2, FALLBACK_MS).pairs, []);
+  assert.deepEqual(pairIds(findPairs(entries, FALLBACK_MS + 1, FALLBACK_MS)), [["alice", "bob"]]);
+});
+
+test("skips a recent partner while someone else is waiting", () => {
+  const now = 1000;
+  const entries = [
+    entry("alice", 0, { recent: { bob: now + 60000 } }),
+    entry("bob", 1),
+    entry("carl", 2)
+  ];
+  assert.deepEqual(pairIds(findPairs(entries, now, FALLBACK_MS)), [["alice", "carl"]]);
+});
+
+test("re-pairs the last two only when both allow it", () => {
+  const now = 1000;
+  const until = now + 60000;
+  const pair = (aliceAllows, bobAllows) =>
+    findPairs(
+      [
+        entry("alice", 0, { recent: { bob: until }, allowRematch: aliceAllows }),
+        entry("bob", 1, { allowRematch: bobAllows })
+      ],
+      now,
+      FALLBACK_MS
+    );
+
+  assert.deepEqual(pairIds(pair(true, true)), [["alice", "bob"]]);
+
+  const refused = pair(true, false);
+  assert.deepEqual(refused.pairs, []);
+  assert.equal(refused.wakeAt, until);
+
+  // Not the last two: a third user keeps them apart even if both allow it
+  const crowded = findPairs(
+    [
+      entry("alice", 0, { recent: { bob: until }, allowRematch: true }),
+      entry("bob", 1, { allowRematch: true }),
+      entry("carl", 2, { tags: ["art"] })
+    ],
+    now,
+    FALLBACK_MS
+  );
+  assert.deepEqual(crowded.pairs, []);
+});
+
+test("a recent partner can be matched again once the cooldown is over", () => {
+  const entries = [entry("alice", 0, { recent: { bob: 5000 } }), entry("bob", 1)];
+
+  assert.deepEqual(findPairs(entries, 4999, FALLBACK_MS).pairs, []);
+  assert.deepEqual(pairIds(findPairs(entries, 5000, FALLBACK_MS)), [["alice", "bob"]]);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, connect, join } = require("./harness");
+
+const ADMIN_TOKEN = "test-admin-token";
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_TOKEN });
+});
+
+after(() => server.close());
+
+// Two users whose chat is up, with bob's resume token
+async function chatting() {
+  const alice = await join(server.url, "alice");
+  const bob = await join(server.url, "bob");
+  const { resumeToken } = await bob.next("session");
+  await Promise.all([alice.next("matched"), bob.next("matched")]);
+
+  alice.send({ type: "connected" });
+  bob.send({ type: "connected" });
+  // Let the server see both before anything closes
+  await alice.nothing("partner-left", 100);
+
+  return [alice, bob, resumeToken];
+}
+
+async function admin(method, path, body) {
+  const res = await fetch(`${server.http}/admin${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, "Content-Type": "application/json" },
+    body: body && JSON.stringify(body)
+  });
+  return res.json();
+}
+
+async function sessionId(name) {
+  const { sessions } = await admin("GET", "/sessions");
+  return sessions.find((session) => session.name === name).id;
+}
+
+async function resume(token) {
+  const client = await connect(server.url);
+  client.send({ type: "resume-session", token });
+  return client;
+}
+
+test("lets a dropped user resume their chat", async () => {
+  const [alice, bob, token] = await chatting();
+
+  await bob.close();
+  const back = await resume(token);
+  const resumed = await back.next("session-resumed");
+  assert.equal(resumed.partnerName, "alice");
+  assert.ok(await alice.nothing("partner-left"));
+
+  await Promise.all([alice.close(), back.close()]);
+});
+
+test("a kicked user cannot resume", async () => {
+  const [alice, bob, token] = await chatting();
+
+  await admin("POST", `/sessions/${await sessionId("bob")}/kick`);
+  assert.equal((await bob.closed).code, 4000);
+  await alice.next("partner-left");
+
+  const back = await resume(token);
+  assert.equal((await back.next("error")).code, "resume_failed");
+
+  await Promise.all([alice.close(), back.close()]);
+});
+
+// Last: the ban covers every connection from 127.0.0.1
+test("a banned user cannot resume", async () => {
+  const [alice, bob, token] = await chatting();
+
+  await admin("POST", "/bans", { sessionId: await sessionId("bob") });
+  assert.equal((await bob.closed).code, 4000);
+  await alice.next("partner-left");
+
+  const back = await resume(token);
+  assert.equal((await back.next("error")).code, "banned");
+  assert.ok(await back.nothing("session-resumed"));
+
+  await Promise.all([alice.close(), back.close()]);
+});
+
+test("lifting a ban through either key lifts it for IP and device", async () => {
+  // Clear the previous test's ban on 127.0.0.1
+  for (const { key } of (await admin("GET", "/bans")).bans) {
+    await admin("DELETE", `/bans/${encodeURIComponent(key)}`);
+  }
+
+  const carl = await join(server.url, "carl", { deviceId: "carl-device" });
+  await carl.next("session");
+  await carl.nothing("error", 100);
+
+  await admin("POST", "/bans", { sessionId: await sessionId("carl") });
+  await carl.closed;
+
+  const { bans } = await admin("GET", "/bans");
+  assert.equal(bans.length, 2);
+
+  const { unbanned } = await admin("DELETE", `/bans/${encodeURIComponent(bans[1].key)}`);
+  assert.deepEqual([...unbanned].sort(), bans.map((ban) => ban.key).sort());
+  assert.deepEqual((await admin("GET", "/bans")).bans, []);
+
+  const again = await join(server.url, "carl", { deviceId: "carl-device" });
+  assert.ok(await again.nothing("error"));
+
+  await again.close();
+});
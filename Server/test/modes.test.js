@@ -0,0 +1,42 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, connect, join } = require("./harness");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test("matches text, voice and video users only within their own mode", async () => {
+  const voice = await join(server.url, "alice", { mode: "voice" });
+  const text = await join(server.url, "bob");
+  const video = await join(server.url, "carl", { mode: "video" });
+  assert.ok(await voice.nothing("matched"));
+
+  const otherVoice = await join(server.url, "dave", { mode: "voice" });
+  const [a, d] = await Promise.all([voice.next("matched"), otherVoice.next("matched")]);
+  assert.equal(a.partnerName, "dave");
+  assert.equal(a.mode, "voice");
+  assert.equal(d.mode, "voice");
+
+  const otherText = await join(server.url, "erin", { mode: "text" });
+  const b = await text.next("matched");
+  assert.equal(b.partnerName, "erin");
+  assert.equal(b.mode, "text");
+  assert.ok(await video.nothing("matched"));
+
+  await Promise.all([voice, text, video, otherVoice, otherText].map((client) => client.close()));
+});
+
+test("rejects unknown modes", async () => {
+  const client = await connect(server.url);
+
+  client.send({ type: "join", name: "alice", mode: "hologram" });
+  const error = await client.next("error");
+  assert.equal(error.code, "invalid_payload");
+
+  await client.close();
+});
@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createNamePolicy } = require("../names");
+
+const policy = createNamePolicy();
+
+function accepted(name) {
+  return policy.validate(name).ok;
+}
+
+test("accepts ordinary names that contain a blocked stem", () => {
+  const names = ["Harshit", "Ignazio", "Hashitha", "Shitij", "Mishit", "Nazia", "Scunthorpe", "Penistone"];
+  assert.deepEqual(names.filter((name) => !accepted(name)), []);
+});
+
+test("accepts words on the allowlist", () => {
+  assert.ok(accepted("Cockburn"));
+  assert.equal(accepted("Pennant"), true);
+
+  const strict = createNamePolicy({ extraBlocked: ["pennant"] });
+  assert.equal(strict.validate("Pennant").ok, false);
+  const relaxed = createNamePolicy({ extraBlocked: ["pennant"], extraAllowed: ["pennant"] });
+  assert.equal(relaxed.validate("Pennant").ok, true);
+});
+
+test("rejects profanity, including common disguises", () => {
+  const names = ["Shithead", "Shitty", "big dick", "s h i t", "Sh-it", "Sh1t", "F_u_C_k", "b1tch", "sluts", "xXbitchXx"];
+  assert.deepEqual(names.filter(accepted), []);
+});
+
+test("rejects reserved names with numbers or separators added", () => {
+  const names = ["Admin", "Admin 1", "admin_2", "mod-7", "Moderator 99", "4dmin", "System_"];
+  assert.deepEqual(names.filter(accepted), []);
+  assert.ok(accepted("Modi 2"));
+  assert.ok(accepted("Admiral"));
+});
+
+test("enforces length and characters", () => {
+  assert.equal(policy.validate("a").code, "invalid_name");
+  assert.equal(accepted("x".repeat(21)), false);
+  assert.equal(accepted("bob<script>"), false);
+  assert.deepEqual(policy.validate("  Zoë   Ng "), { ok: true, name: "Zoë Ng" });
+});
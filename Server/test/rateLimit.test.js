@@ -0,0 +1,29 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTokenBucket, applyRateLimitOverrides } = require("../rateLimit");
+
+const DEFAULTS = {
+  connection: { capacity: 10, refillPerSec: 0.5 },
+  relay: { capacity: 10, refillPerSec: 1 }
+};
+
+test("a bucket allows its burst, then refuses", () => {
+  const bucket = createTokenBucket({ capacity: 3, refillPerSec: 0.001 });
+  assert.deepEqual([1, 2, 3, 4].map(() => bucket.take()), [true, true, true, false]);
+});
+
+test("overrides replace only the fields they name", () => {
+  assert.equal(applyRateLimitOverrides(DEFAULTS, undefined), DEFAULTS);
+
+  const limits = applyRateLimitOverrides(DEFAULTS, '{"connection":{"capacity":50}}');
+  assert.deepEqual(limits.connection, { capacity: 50, refillPerSec: 0.5 });
+  assert.equal(limits.relay, DEFAULTS.relay);
+  assert.equal(DEFAULTS.connection.capacity, 10);
+});
+
+test("rejects overrides that don't fit a known bucket", () => {
+  assert.throws(() => applyRateLimitOverrides(DEFAULTS, '{"conection":{"capacity":50}}'), /Unknown rate limit/);
+  assert.throws(() => applyRateLimitOverrides(DEFAULTS, '{"relay":{"capacity":0}}'), /Invalid rate limit/);
+  assert.throws(() => applyRateLimitOverrides(DEFAULTS, '{"relay":{"burst":5}}'), /Invalid rate limit/);
+  assert.throws(() => applyRateLimitOverrides(DEFAULTS, "not json"), SyntaxError);
+});
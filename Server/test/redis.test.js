@@ -0,0 +1,119 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const RedisMock = require("ioredis-mock");
+const { createRedisBackend } = require("../backends/redis");
+const { createLogger } = require("../logger");
+const { createMatchmaker } = require("../matchmaking");
+
+// ioredis-mock clients share one in-process keyspace, so two backends
+// behave like two instances on the same Redis
+let prefixes = 0;
+
+async function startInstances(count, onEvent = () => {}) {
+  const prefix = `test${++prefixes}`;
+  const log = createLogger({ level: "silent" });
+  const backends = [];
+
+  for (let i = 0; i < count; i++) {
+    const backend = createRedisBackend({
+      prefix,
+      log,
+      client: new RedisMock({ lazyConnect: true })
+    });
+    await backend.start((event) => onEvent(backend.instanceId, event));
+    backends.push(backend);
+  }
+  return { prefix, backends, redis: new RedisMock() };
+}
+
+function entry(id, instanceId) {
+  return { id, instanceId, name: id, mode: "text", tags: [], joinedAt: Date.now() };
+}
+
+test("pairs entries queued on different instances", async () => {
+  const { prefix, backends, redis } = await startInstances(2);
+  const [a, b] = backends;
+
+  await a.addEntry(entry("alice", a.instanceId));
+  await b.addEntry(entry("bob", b.instanceId));
+  await b.addEntry(entry("carl", b.instanceId));
+  await b.removeEntry("carl");
+  assert.equal(await a.queueSize(), 2);
+
+  const pairs = await a.takePairs((entries) => [entries]);
+  assert.deepEqual(pairs[0].map((e) => e.id).sort(), ["alice", "bob"]);
+  assert.equal(await b.queueSize(), 0);
+  assert.equal(await redis.get(`${prefix}:lock`), null);
+
+  await Promise.all(backends.map((backend) => backend.close()));
+});
+
+test("delivers published events to the target instance only", async () => {
+  const received = [];
+  const { backends } = await startInstances(2, (instanceId, event) => received.push([instanceId, event]));
+  const [a, b] = backends;
+
+  await a.publish(b.instanceId, { kind: "matched", to: "bob" });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(received, [[b.instanceId, { kind: "matched", to: "bob" }]]);
+
+  await Promise.all(backends.map((backend) => backend.close()));
+});
+
+test("drops entries whose instance has gone away", async () => {
+  const { backends } = await startInstances(1);
+  const [a] = backends;
+
+  await a.addEntry(entry("alice", a.instanceId));
+  await a.addEntry(entry("ghost", "no-such-instance"));
+
+  let seen;
+  await a.takePairs((entries) => {
+    seen = entries.map((e) => e.id);
+    return [];
+  });
+  assert.deepEqual(seen, ["alice"]);
+  assert.equal(await a.queueSize(), 1);
+
+  await a.close();
+});
+
+test("backs off while another instance holds the lock, and never frees a lock it lost", async () => {
+  const { prefix, backends, redis } = await startInstances(1);
+  const [a] = backends;
+  const lockKey = `${prefix}:lock`;
+
+  await redis.set(lockKey, "someone-else", "PX", 5000);
+  assert.equal(await a.takePairs(() => []), null);
+  await redis.del(lockKey);
+
+  // Our lock expires mid-pass and another instance takes it
+  await a.takePairs(() => {
+    redis.set(lockKey, "someone-else");
+    return [];
+  });
+  assert.equal(await redis.get(lockKey), "someone-else");
+
+  await a.close();
+});
+
+test("reports backend failures instead of rejecting", async () => {
+  const errors = [];
+  const backend = {
+    instanceId: "broken",
+    addEntry: async () => {
+      throw new Error("HSET failed");
+    },
+    removeEntry: async () => {
+      throw new Error("HDEL failed");
+    },
+    takePairs: async () => []
+  };
+  const matchmaker = createMatchmaker({ backend, onError: (err) => errors.push(err.message) });
+
+  await matchmaker.enqueue(entry("alice"));
+  await matchmaker.remove("alice");
+  assert.deepEqual(errors, ["HSET failed", "HDEL failed"]);
+
+  matchmaker.close();
+});
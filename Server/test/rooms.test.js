@@ -0,0 +1,108 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, connect, join } = require("./harness");
+
+let server;
+
+before(async () => {
+  server = await startServer({ ROOM_TTL_MS: "500" });
+});
+
+after(() => server.close());
+
+async function createRoom(name) {
+  const host = await connect(server.url);
+  host.send({ type: "create-room", name });
+  const { code } = await host.next("room-created");
+  return [host, code];
+}
+
+async function joinRoom(code, name) {
+  const guest = await connect(server.url);
+  guest.send({ type: "join-room", code, name });
+  return guest;
+}
+
+test("pairs a guest with the room's host, skipping the queue", async () => {
+  const queued = await join(server.url, "dana");
+
+  const [host, code] = await createRoom("alice");
+  assert.match(code, /^[A-Za-z0-9_-]{8}$/);
+
+  const guest = await joinRoom(code, "bob");
+  const [h, g] = await Promise.all([host.next("matched"), guest.next("matched")]);
+  assert.equal(h.partnerName, "bob");
+  assert.equal(h.initiator, true);
+  assert.equal(g.partnerName, "alice");
+  assert.equal(g.initiator, false);
+
+  // The queued user was passed over, not consumed: the next random
+  // joiner gets them
+  assert.ok(await queued.nothing("matched"));
+  const later = await join(server.url, "erin");
+  const [q, l] = await Promise.all([queued.next("matched"), later.next("matched")]);
+  assert.equal(q.partnerName, "erin");
+  assert.equal(l.partnerName, "dana");
+
+  await Promise.all([queued.close(), host.close(), guest.close(), later.close()]);
+});
+
+test("turns away a third visitor", async () => {
+  const [host, code] = await createRoom("alice");
+  const guest = await joinRoom(code, "bob");
+  await guest.next("matched");
+
+  const extra = await joinRoom(code, "carl");
+  const error = await extra.next("error");
+  assert.equal(error.code, "room_full");
+
+  await Promise.all([host.close(), guest.close(), extra.close()]);
+});
+
+test("rejects unknown codes and rooms nobody joined in time", async () => {
+  const visitor = await joinRoom("nosuchroom", "bob");
+  assert.equal((await visitor.next("error")).code, "room_expired");
+
+  const [host, code] = await createRoom("alice");
+  const expired = await host.next("error", 2000);
+  assert.equal(expired.code, "room_expired");
+
+  visitor.send({ type: "join-room", code, name: "bob" });
+  assert.equal((await visitor.next("error")).code, "room_expired");
+
+  await Promise.all([visitor.close(), host.close()]);
+});
+
+test("closes the room when its chat ends", async () => {
+  const [host, code] = await createRoom("alice");
+  const guest = await joinRoom(code, "bob");
+  await Promise.all([host.next("matched"), guest.next("matched")]);
+
+  await guest.close();
+  const left = await host.next("partner-left");
+  assert.equal(left.requeued, undefined);
+
+  // Not even the host can reopen it
+  host.send({ type: "join-room", code, name: "alice" });
+  assert.equal((await host.next("error")).code, "room_expired");
+
+  await host.close();
+});
+
+test("lets a waiting host cancel, freeing the room", async () => {
+  const [host, code] = await createRoom("alice");
+
+  host.send({ type: "cancel-room" });
+  await host.next("room-cancelled");
+
+  const guest = await joinRoom(code, "bob");
+  assert.equal((await guest.next("error")).code, "room_expired");
+  assert.ok(await host.nothing("matched"));
+
+  // No longer searching, so the host can start over
+  host.send({ type: "create-room", name: "alice" });
+  const { code: fresh } = await host.next("room-created");
+  assert.notEqual(fresh, code);
+
+  await Promise.all([host.close(), guest.close()]);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, join } = require("./harness");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+async function pair() {
+  const alice = await join(server.url, "alice");
+  const bob = await join(server.url, "bob");
+  await Promise.all([alice.next("matched"), bob.next("matched")]);
+  return [alice, bob];
+}
+
+test("relays offer, answer and candidates between partners", async () => {
+  const [alice, bob] = await pair();
+
+  alice.send({ type: "signal", signal: { type: "offer", sdp: "v=0 offer" } });
+  const offer = await bob.next("signal");
+  assert.deepEqual(offer.signal, { type: "offer", sdp: "v=0 offer" });
+
+  bob.send({ type: "signal", signal: { type: "answer", sdp: "v=0 answer" } });
+  const answer = await alice.next("signal");
+  assert.deepEqual(answer.signal, { type: "answer", sdp: "v=0 answer" });
+
+  const candidate = { candidate: "candidate:1 1 udp 1 127.0.0.1 9 typ host", sdpMid: "0", sdpMLineIndex: 0 };
+  alice.send({ type: "signal", signal: { type: "candidate", candidate } });
+  const relayed = await bob.next("signal");
+  assert.deepEqual(relayed.signal, { type: "candidate", candidate });
+
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("strips fields that aren't part of a signal", async () => {
+  const [alice, bob] = await pair();
+
+  alice.send({ type: "signal", extra: "x", signal: { type: "offer", sdp: "v=0", injected: true } });
+  const offer = await bob.next("signal");
+  assert.deepEqual(offer, { type: "signal", signal: { type: "offer", sdp: "v=0" } });
+
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("rejects malformed signals without relaying them", async () => {
+  const [alice, bob] = await pair();
+
+  alice.send({ type: "signal", signal: { type: "bogus" } });
+  const error = await alice.next("error");
+  assert.equal(error.code, "invalid_payload");
+  assert.ok(await bob.nothing("signal"));
+
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("drops signals from users without a partner", async () => {
+  const [alice, bob] = await pair();
+  const carl = await join(server.url, "carl");
+
+  carl.send({ type: "signal", signal: { type: "offer", sdp: "v=0" } });
+  assert.ok(await alice.nothing("signal"));
+  assert.ok(await bob.nothing("signal"));
+
+  await Promise.all([alice.close(), bob.close(), carl.close()]);
+});
+
+test("names the action that hit a rate limit", async () => {
+  const [alice, bob] = await pair();
+
+  for (let i = 0; i < 11; i++) alice.send({ type: "relay", text: `line ${i}`, id: `m${i}` });
+  const error = await alice.next("error");
+  assert.equal(error.code, "rate_limit");
+  assert.equal(error.action, "relay");
+  // Says which message was refused
+  assert.equal(error.ref, "m10");
+
+  // One strike: the chat carries on
+  alice.send({ type: "signal", signal: { type: "offer", sdp: "v=0" } });
+  await bob.next("signal");
+
+  await Promise.all([alice.close(), bob.close()]);
+});